@@ -0,0 +1,34 @@
+import { createClient } from 'redis';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+let sharedClient = null;
+
+// Create and connect a new Redis client (REDIS_URL)
+export const createRedisClient = async () => {
+  const client = createClient({ url: process.env.REDIS_URL || 'redis://localhost:6379' });
+
+  client.on('error', (err) => {
+    console.error('❌ Redis connection error:', err.message);
+  });
+
+  await client.connect();
+  return client;
+};
+
+// Get the shared Redis client for commands, connecting on first use
+export const getRedisClient = () => {
+  if (!sharedClient) {
+    sharedClient = createRedisClient()
+      .then(client => {
+        console.log('✅ Redis Connected');
+        return client;
+      })
+      .catch(error => {
+        sharedClient = null;
+        throw error;
+      });
+  }
+  return sharedClient;
+};
@@ -2,6 +2,9 @@ import User from '../models/User.js';
 import Admin from '../models/Admin.js';
 import Conversation from '../models/Conversation.js';
 import Message from '../models/Message.js';
+import Session from '../models/Session.js';
+import { recordAudit, auditSnapshot } from '../services/audit.js';
+import { disconnectSessions } from '../socket/socketHandlers.js';
 
 // Get admin dashboard statistics
 export const getDashboardStats = async (req, res) => {
@@ -166,14 +169,7 @@ export const deactivateUser = async (req, res) => {
   try {
     const { userId } = req.params;
 
-    // Prevent admin from deactivating themselves
-    if (userId === req.user._id.toString()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Cannot deactivate your own account'
-      });
-    }
-
+    // Admin accounts live in a separate collection, so users can't be admins
     const user = await User.findById(userId);
     if (!user) {
       return res.status(404).json({
@@ -182,16 +178,21 @@ export const deactivateUser = async (req, res) => {
       });
     }
 
-    // Prevent deactivating other admins
-    if (user.isAdmin()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Cannot deactivate admin accounts'
-      });
-    }
-
+    const before = auditSnapshot(user);
     await user.deactivate();
 
+    // Sign the user out everywhere
+    const sessionIds = await Session.revokeAllForUser(user._id, { reason: 'deactivated' });
+    disconnectSessions(req.app.get('io'), sessionIds);
+
+    await recordAudit(req, {
+      action: 'user.deactivate',
+      targetType: 'user',
+      targetId: user._id,
+      before,
+      after: user
+    });
+
     res.json({
       success: true,
       message: 'User account deactivated successfully'
@@ -218,7 +219,15 @@ export const reactivateUser = async (req, res) => {
       });
     }
 
+    const before = auditSnapshot(user);
     await user.reactivate();
+    await recordAudit(req, {
+      action: 'user.reactivate',
+      targetType: 'user',
+      targetId: user._id,
+      before,
+      after: user
+    });
 
     res.json({
       success: true,
@@ -251,6 +260,10 @@ export const deleteUser = async (req, res) => {
 
     // Note: Users no longer have admin roles, so this check is removed
 
+    // Sign the user out everywhere
+    const sessionIds = await Session.revokeAllForUser(user._id, { reason: 'deleted' });
+    disconnectSessions(req.app.get('io'), sessionIds);
+
     // Delete user's messages
     await Message.deleteMany({ senderId: userId });
 
@@ -265,6 +278,12 @@ export const deleteUser = async (req, res) => {
 
     // Delete the user
     await User.findByIdAndDelete(userId);
+    await recordAudit(req, {
+      action: 'user.delete',
+      targetType: 'user',
+      targetId: user._id,
+      before: user
+    });
 
     res.json({
       success: true,
@@ -399,7 +418,15 @@ export const deactivateAdmin = async (req, res) => {
       });
     }
 
+    const before = auditSnapshot(admin);
     await admin.deactivate();
+    await recordAudit(req, {
+      action: 'admin.deactivate',
+      targetType: 'admin',
+      targetId: admin._id,
+      before,
+      after: admin
+    });
 
     res.json({
       success: true,
@@ -430,7 +457,15 @@ export const reactivateAdmin = async (req, res) => {
       });
     }
 
+    const before = auditSnapshot(admin);
     await admin.reactivate();
+    await recordAudit(req, {
+      action: 'admin.reactivate',
+      targetType: 'admin',
+      targetId: admin._id,
+      before,
+      after: admin
+    });
 
     res.json({
       success: true,
@@ -447,3 +482,36 @@ export const reactivateAdmin = async (req, res) => {
     });
   }
 };
+
+// Get a message's edit history (including deleted messages)
+export const getMessageHistory = async (req, res) => {
+  try {
+    const { messageId } = req.params;
+
+    const message = await Message.findById(messageId)
+      .populate('sender', 'username email firstName lastName');
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        messageId: message._id,
+        conversationId: message.conversation,
+        sender: message.sender,
+        isDeleted: message.isDeleted,
+        revisions: message.getEditHistory()
+      }
+    });
+  } catch (error) {
+    console.error('Get message history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch message history'
+    });
+  }
+};
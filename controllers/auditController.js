@@ -0,0 +1,99 @@
+import mongoose from 'mongoose';
+import AuditLog from '../models/AuditLog.js';
+
+// Maximum number of rows in a CSV export
+const MAX_EXPORT_ROWS = 10000;
+
+// Build the audit log query from request filters
+const buildAuditQuery = ({ admin, action, targetType, targetId, from, to }) => {
+  const query = {};
+
+  if (admin && mongoose.Types.ObjectId.isValid(admin)) query.admin = admin;
+  if (action) query.action = action;
+  if (targetType) query.targetType = targetType;
+  if (targetId && mongoose.Types.ObjectId.isValid(targetId)) query.targetId = targetId;
+
+  const fromDate = from ? new Date(from) : null;
+  const toDate = to ? new Date(to) : null;
+  if ((fromDate && !isNaN(fromDate)) || (toDate && !isNaN(toDate))) {
+    query.createdAt = {};
+    if (fromDate && !isNaN(fromDate)) query.createdAt.$gte = fromDate;
+    if (toDate && !isNaN(toDate)) query.createdAt.$lte = toDate;
+  }
+
+  return query;
+};
+
+// Quote a value for CSV output
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+// Get audit log entries with filters and pagination (?format=csv to export)
+export const getAuditLogs = async (req, res) => {
+  try {
+    const query = buildAuditQuery(req.query);
+
+    if (req.query.format === 'csv') {
+      const entries = await AuditLog.find(query)
+        .sort({ createdAt: -1 })
+        .limit(MAX_EXPORT_ROWS)
+        .lean();
+
+      const header = ['timestamp', 'adminId', 'adminUsername', 'action', 'targetType', 'targetId', 'ip', 'userAgent', 'before', 'after', 'metadata'];
+      const rows = entries.map(entry => [
+        entry.createdAt.toISOString(),
+        entry.admin,
+        entry.adminUsername,
+        entry.action,
+        entry.targetType,
+        entry.targetId,
+        entry.ip,
+        entry.userAgent,
+        entry.changes?.before,
+        entry.changes?.after,
+        entry.metadata
+      ].map(csvValue).join(','));
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`);
+      return res.send([header.join(','), ...rows].join('\n'));
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const skip = (page - 1) * limit;
+
+    const [entries, totalEntries] = await Promise.all([
+      AuditLog.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      AuditLog.countDocuments(query)
+    ]);
+
+    const totalPages = Math.ceil(totalEntries / limit);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalEntries,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get audit logs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit logs'
+    });
+  }
+};
@@ -0,0 +1,297 @@
+import mongoose from 'mongoose';
+import Report, { REPORT_REASONS } from '../models/Report.js';
+import User from '../models/User.js';
+import Message from '../models/Message.js';
+import Session from '../models/Session.js';
+import { recordAudit, auditSnapshot } from '../services/audit.js';
+import { disconnectSessions } from '../socket/socketHandlers.js';
+import { EVENTS, publish } from '../services/events.js';
+
+const populateReport = (query) => {
+  return query
+    .populate('reporter', 'username firstName lastName avatar')
+    .populate('reportedUser', 'username firstName lastName avatar isActive')
+    .populate('resolvedBy', 'username firstName lastName')
+    .populate('actions.admin', 'username firstName lastName');
+};
+
+// Get reports in the moderation queue with filters and pagination
+export const getReports = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+    const { status = 'open', targetType, reason, reportedUser } = req.query;
+
+    const query = {};
+    if (status !== 'all') query.status = status;
+    if (targetType) query.targetType = targetType;
+    if (reason && REPORT_REASONS.includes(reason)) query.reason = reason;
+    if (reportedUser && mongoose.Types.ObjectId.isValid(reportedUser)) query.reportedUser = reportedUser;
+
+    const [reports, totalReports, openReports] = await Promise.all([
+      populateReport(Report.find(query))
+        .sort({ createdAt: status === 'open' ? 1 : -1 }) // oldest open reports first
+        .skip(skip)
+        .limit(limit),
+      Report.countDocuments(query),
+      Report.countDocuments({ status: 'open' })
+    ]);
+
+    const totalPages = Math.ceil(totalReports / limit);
+
+    res.json({
+      success: true,
+      data: {
+        reports,
+        openReports,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalReports,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get reports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reports'
+    });
+  }
+};
+
+// Get a single report with the current state of its message and earlier reports against the same user
+export const getReportDetails = async (req, res) => {
+  try {
+    const { reportId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(reportId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid report ID'
+      });
+    }
+
+    const report = await populateReport(Report.findById(reportId));
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    // Populate leaves null if the reported user was deleted; fall back to the stored ID
+    const reportedUserId = report.reportedUser?._id || report.populated('reportedUser');
+
+    const [message, previousReports, warnedUser] = await Promise.all([
+      report.message ? Message.findById(report.message).select('content type isDeleted isEdited createdAt') : null,
+      Report.countDocuments({ reportedUser: reportedUserId, _id: { $ne: report._id } }),
+      report.reportedUser ? User.findById(reportedUserId).select('warnings') : null
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        report,
+        message,
+        previousReports,
+        warnings: warnedUser ? warnedUser.warnings : []
+      }
+    });
+  } catch (error) {
+    console.error('Get report details error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch report details'
+    });
+  }
+};
+
+// Take a moderation action (delete message, warn or deactivate user) from a report
+export const takeReportAction = async (req, res) => {
+  try {
+    const { reportId } = req.params;
+    const { action, note = '' } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(reportId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid report ID'
+      });
+    }
+
+    const report = await Report.findById(reportId);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    if (report.status === 'dismissed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Report has been dismissed'
+      });
+    }
+
+    const metadata = { report: report._id, reason: report.reason, note };
+
+    if (action === 'delete_message') {
+      const message = report.message && await Message.findById(report.message);
+
+      if (!message || message.isDeleted) {
+        return res.status(400).json({
+          success: false,
+          message: 'There is no message to delete for this report'
+        });
+      }
+
+      const before = auditSnapshot(message);
+      await message.softDelete();
+      publish(EVENTS.MESSAGE_DELETED, {
+        conversationId: message.conversation,
+        messageId: message._id,
+        deletedBy: null,
+        moderated: true
+      });
+
+      await recordAudit(req, {
+        action: 'message.delete',
+        targetType: 'message',
+        targetId: message._id,
+        before,
+        after: message,
+        metadata
+      });
+    } else {
+      const user = await User.findById(report.reportedUser);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'Reported user no longer exists'
+        });
+      }
+
+      const io = req.app.get('io');
+
+      if (action === 'warn_user') {
+        const warningReason = note || `Your content was reported for ${report.reason.replace(/_/g, ' ')}`;
+        await user.addWarning(warningReason, req.admin._id, report._id);
+
+        io?.to(`user_${user._id}`).emit('account_warning', {
+          reason: warningReason,
+          createdAt: new Date()
+        });
+
+        await recordAudit(req, {
+          action: 'user.warn',
+          targetType: 'user',
+          targetId: user._id,
+          metadata
+        });
+      } else if (action === 'deactivate_user') {
+        if (!user.isActive) {
+          return res.status(400).json({
+            success: false,
+            message: 'User is already deactivated'
+          });
+        }
+
+        const before = auditSnapshot(user);
+        await user.deactivate();
+
+        // Sign the user out everywhere
+        const sessionIds = await Session.revokeAllForUser(user._id, { reason: 'deactivated' });
+        disconnectSessions(io, sessionIds);
+
+        await recordAudit(req, {
+          action: 'user.deactivate',
+          targetType: 'user',
+          targetId: user._id,
+          before,
+          after: user,
+          metadata
+        });
+      }
+    }
+
+    await report.addAction(action, req.admin._id, note);
+    await recordAudit(req, {
+      action: `report.${action}`,
+      targetType: 'report',
+      targetId: report._id,
+      metadata: { note }
+    });
+
+    res.json({
+      success: true,
+      message: 'Moderation action applied',
+      data: {
+        report: await populateReport(Report.findById(report._id))
+      }
+    });
+  } catch (error) {
+    console.error('Report action error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to apply moderation action'
+    });
+  }
+};
+
+// Dismiss a report without taking action
+export const dismissReport = async (req, res) => {
+  try {
+    const { reportId } = req.params;
+    const { note = '' } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(reportId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid report ID'
+      });
+    }
+
+    const report = await Report.findById(reportId);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    if (report.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        message: `Report is already ${report.status}`
+      });
+    }
+
+    await report.dismiss(req.admin._id, note);
+    await recordAudit(req, {
+      action: 'report.dismiss',
+      targetType: 'report',
+      targetId: report._id,
+      metadata: { note }
+    });
+
+    res.json({
+      success: true,
+      message: 'Report dismissed',
+      data: {
+        report
+      }
+    });
+  } catch (error) {
+    console.error('Dismiss report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to dismiss report'
+    });
+  }
+};
@@ -1,5 +1,6 @@
 import jwt from 'jsonwebtoken';
 import Admin from '../models/Admin.js';
+import SystemSetting from '../models/SystemSetting.js';
 
 // Generate JWT token for admin
 export const generateAdminToken = (adminId) => {
@@ -10,6 +11,74 @@ export const generateAdminToken = (adminId) => {
   );
 };
 
+// Generate a short-lived token for the second login step. `purpose` is
+// 'verify' (enter a 2FA code) or 'setup' (2FA is required but not enrolled yet)
+export const generateTwoFactorChallengeToken = (adminId, purpose) => {
+  return jwt.sign(
+    { adminId, type: 'admin_2fa', purpose },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m' }
+  );
+};
+
+// Decode a second-step token, returning null if it is invalid or expired
+export const verifyTwoFactorChallengeToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.type !== 'admin_2fa' || decoded.purpose !== purpose) return null;
+    return decoded;
+  } catch (error) {
+    return null;
+  }
+};
+
+// After a correct password, decide whether the admin needs a second step.
+// Returns null when a full admin token can be issued straight away.
+export const getTwoFactorChallenge = async (admin) => {
+  if (admin.twoFactorEnabled) {
+    return {
+      requiresTwoFactor: true,
+      twoFactorToken: generateTwoFactorChallengeToken(admin._id, 'verify')
+    };
+  }
+
+  if (await SystemSetting.getValue('requireAdminTwoFactor')) {
+    return {
+      requiresTwoFactorSetup: true,
+      twoFactorToken: generateTwoFactorChallengeToken(admin._id, 'setup')
+    };
+  }
+
+  return null;
+};
+
+// Complete a two-step login. Returns the admin when the challenge token and
+// code are valid, or an error status and message otherwise.
+export const completeTwoFactorLogin = async (twoFactorToken, code) => {
+  const decoded = verifyTwoFactorChallengeToken(twoFactorToken, 'verify');
+  if (!decoded) {
+    return { status: 401, message: 'Two-factor session is invalid or has expired. Please log in again.' };
+  }
+
+  const admin = await Admin.findById(decoded.adminId);
+  if (!admin || !admin.isActive) {
+    return { status: 401, message: 'Invalid credentials' };
+  }
+
+  if (admin.isLocked) {
+    return { status: 423, message: 'Account is temporarily locked due to too many failed login attempts.' };
+  }
+
+  const method = await admin.verifyTwoFactor(code);
+  if (!method) {
+    await admin.incLoginAttempts();
+    return { status: 400, message: 'Invalid authentication code' };
+  }
+
+  await admin.resetLoginAttempts();
+  return { admin, method };
+};
+
 // Middleware to check if admin is authenticated
 export const authenticateAdmin = async (req, res, next) => {
   try {
@@ -85,6 +154,39 @@ export const authenticateAdmin = async (req, res, next) => {
   }
 };
 
+// Like authenticateAdmin, but also accepts a 'setup' challenge token so an
+// admin who must enroll in 2FA can do so before receiving a full token
+export const authenticateAdminEnrollment = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  const token = authHeader && authHeader.split(' ')[1];
+  const challenge = token && verifyTwoFactorChallengeToken(token, 'setup');
+
+  if (!challenge) {
+    return authenticateAdmin(req, res, next);
+  }
+
+  try {
+    const admin = await Admin.findById(challenge.adminId);
+
+    if (!admin || !admin.isActive || admin.isLocked) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid token - admin not found'
+      });
+    }
+
+    req.admin = admin;
+    req.isTwoFactorEnrollment = true;
+    next();
+  } catch (error) {
+    console.error('Admin enrollment auth error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during authentication'
+    });
+  }
+};
+
 // Middleware to check specific admin permissions
 export const requirePermission = (permission) => {
   return (req, res, next) => {
@@ -1,5 +1,6 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
 
 export const authenticateToken = async (req, res, next) => {
   try {
@@ -14,10 +15,27 @@ export const authenticateToken = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
+
+    if (!decoded.userId || !decoded.sessionId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid token'
+      });
+    }
+
+    // Reject tokens whose session was revoked or has expired
+    const session = await Session.findActive(decoded.sessionId, decoded.userId);
+
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked or expired'
+      });
+    }
+
     // Get user from database
     const user = await User.findById(decoded.userId).select('-password');
-    
+
     if (!user) {
       return res.status(401).json({
         success: false,
@@ -26,6 +44,7 @@ export const authenticateToken = async (req, res, next) => {
     }
 
     req.user = user;
+    req.sessionId = session._id.toString();
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -34,7 +53,7 @@ export const authenticateToken = async (req, res, next) => {
         message: 'Invalid token'
       });
     }
-    
+
     if (error.name === 'TokenExpiredError') {
       return res.status(401).json({
         success: false,
@@ -50,14 +69,32 @@ export const authenticateToken = async (req, res, next) => {
   }
 };
 
-export const generateToken = (userId) => {
+// Access tokens are short-lived; clients renew them with a refresh token
+export const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+export const generateToken = (userId, sessionId) => {
   return jwt.sign(
-    { userId },
+    { userId, sessionId },
     process.env.JWT_SECRET,
-    { expiresIn: '7d' }
+    { expiresIn: ACCESS_TOKEN_TTL }
   );
 };
 
+// Start a new session and issue its access and refresh tokens
+export const createSessionTokens = async (userId, req) => {
+  const { session, refreshToken } = await Session.createForUser(userId, {
+    userAgent: req.get('user-agent') || null,
+    ip: req.ip
+  });
+
+  return {
+    token: generateToken(userId, session._id),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+    sessionId: session._id
+  };
+};
+
 // Socket.io authentication middleware
 export const authenticateSocket = async (socket, next) => {
   try {
@@ -68,6 +105,17 @@ export const authenticateSocket = async (socket, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (!decoded.userId || !decoded.sessionId) {
+      return next(new Error('Authentication error: Invalid token'));
+    }
+
+    const session = await Session.findActive(decoded.sessionId, decoded.userId);
+
+    if (!session) {
+      return next(new Error('Authentication error: Session revoked'));
+    }
+
     const user = await User.findById(decoded.userId).select('-password');
 
     if (!user) {
@@ -75,6 +123,7 @@ export const authenticateSocket = async (socket, next) => {
     }
 
     socket.userId = user._id.toString();
+    socket.sessionId = session._id.toString();
     socket.user = user;
     next();
   } catch (error) {
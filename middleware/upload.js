@@ -0,0 +1,67 @@
+import multer from 'multer';
+
+// Default allowed MIME types for message attachments
+const DEFAULT_ALLOWED_MIME_TYPES = [
+  'image/jpeg',
+  'image/png',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+  'application/zip',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+];
+
+export const getAllowedMimeTypes = () => {
+  return process.env.ALLOWED_UPLOAD_MIME_TYPES
+    ? process.env.ALLOWED_UPLOAD_MIME_TYPES.split(',').map(type => type.trim()).filter(Boolean)
+    : DEFAULT_ALLOWED_MIME_TYPES;
+};
+
+export const getMaxFileSize = () => {
+  return parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024; // 10MB
+};
+
+// Files are kept in memory and handed to the storage adapter by the route
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: getMaxFileSize(),
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (!getAllowedMimeTypes().includes(file.mimetype)) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  }
+});
+
+// Single attachment upload with JSON error responses
+export const uploadAttachment = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      const messages = {
+        LIMIT_FILE_SIZE: `File exceeds the maximum size of ${getMaxFileSize()} bytes`,
+        LIMIT_FILE_COUNT: 'Only one file can be uploaded at a time',
+        LIMIT_UNEXPECTED_FILE: 'File type is not allowed or unexpected file field'
+      };
+
+      return res.status(400).json({
+        success: false,
+        message: messages[error.code] || error.message
+      });
+    }
+
+    console.error('Upload middleware error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error processing upload'
+    });
+  });
+};
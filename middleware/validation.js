@@ -1,4 +1,6 @@
-import { body, validationResult } from 'express-validator';
+import { body, param, query, validationResult } from 'express-validator';
+import { REPORT_REASONS, REPORT_ACTIONS } from '../models/Report.js';
+import { PRESENCE_STATUSES, CONVERSATION_PRIVACY_OPTIONS } from '../models/User.js';
 
 // Validation middleware to check for errors
 export const handleValidationErrors = (req, res, next) => {
@@ -40,6 +42,40 @@ export const validateRegister = [
   handleValidationErrors
 ];
 
+// Email-only request validation (resend verification, forgot password)
+export const validateEmailRequest = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+
+  handleValidationErrors
+];
+
+// Email verification validation
+export const validateEmailVerification = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Verification token is required'),
+
+  handleValidationErrors
+];
+
+// Password reset validation
+export const validatePasswordReset = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long'),
+
+  handleValidationErrors
+];
+
 // User login validation
 export const validateLogin = [
   body('identifier')
@@ -54,6 +90,13 @@ export const validateLogin = [
   handleValidationErrors
 ];
 
+// Client message IDs are opaque strings chosen by the client (e.g. a UUID)
+export const isValidClientMessageId = (clientMessageId) => {
+  return typeof clientMessageId === 'string' &&
+    clientMessageId.trim().length > 0 &&
+    clientMessageId.length <= 100;
+};
+
 // Message validation
 export const validateMessage = [
   body('content')
@@ -65,10 +108,150 @@ export const validateMessage = [
     .optional()
     .isIn(['text', 'image', 'file'])
     .withMessage('Message type must be text, image, or file'),
+
+  body('clientMessageId')
+    .optional()
+    .custom(isValidClientMessageId)
+    .withMessage('clientMessageId must be a string of 1 to 100 characters'),
     
   handleValidationErrors
 ];
 
+// Reactions must be a single short emoji sequence
+export const isValidReactionEmoji = (emoji) => {
+  return typeof emoji === 'string' &&
+    emoji.length > 0 &&
+    emoji.length <= 32 &&
+    !/\s/.test(emoji) &&
+    /\p{Extended_Pictographic}|\p{Regional_Indicator}/u.test(emoji);
+};
+
+// Check a status update ({ status, customStatus }) from a REST or socket
+// client; returns an error message, or null if it is valid
+export const getStatusUpdateError = (data) => {
+  if (!data || typeof data !== 'object') return 'Status update is required';
+
+  const { status, customStatus } = data;
+
+  if (status === undefined && customStatus === undefined) {
+    return 'Provide a status or customStatus';
+  }
+
+  if (status !== undefined && !PRESENCE_STATUSES.includes(status)) {
+    return `Status must be one of: ${PRESENCE_STATUSES.join(', ')}`;
+  }
+
+  if (customStatus === undefined || customStatus === null) return null;
+
+  if (typeof customStatus !== 'object') return 'customStatus must be an object or null';
+
+  const { text, emoji, expiresAt } = customStatus;
+
+  if (text != null && (typeof text !== 'string' || text.trim().length > 100)) {
+    return 'Custom status text cannot exceed 100 characters';
+  }
+
+  if (emoji != null && !isValidReactionEmoji(emoji)) {
+    return 'Custom status emoji must be a valid emoji';
+  }
+
+  if (expiresAt != null && (isNaN(new Date(expiresAt)) || new Date(expiresAt) <= new Date())) {
+    return 'Custom status expiry must be a future date';
+  }
+
+  return null;
+};
+
+// Status update validation
+export const validateStatusUpdate = [
+  body()
+    .custom(value => {
+      const error = getStatusUpdateError(value);
+      if (error) throw new Error(error);
+      return true;
+    }),
+
+  handleValidationErrors
+];
+
+// Add reaction validation
+export const validateReaction = [
+  body('emoji')
+    .custom(isValidReactionEmoji)
+    .withMessage('Reaction must be a valid emoji'),
+
+  handleValidationErrors
+];
+
+// Remove reaction validation (emoji in route param)
+export const validateReactionParam = [
+  param('emoji')
+    .custom(isValidReactionEmoji)
+    .withMessage('Reaction must be a valid emoji'),
+
+  handleValidationErrors
+];
+
+// Push device registration validation
+export const validateDeviceRegistration = [
+  body('provider')
+    .optional()
+    .isIn(['webpush'])
+    .withMessage('Provider must be webpush'),
+
+  body('subscription.endpoint')
+    .isURL({ protocols: ['https'], require_tld: false })
+    .withMessage('Subscription endpoint must be an https URL'),
+
+  body(['subscription.keys.p256dh', 'subscription.keys.auth'])
+    .isString()
+    .notEmpty()
+    .withMessage('Subscription keys are required'),
+
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Device name cannot exceed 100 characters'),
+
+  handleValidationErrors
+];
+
+// Message search validation
+export const validateMessageSearch = [
+  query('q')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Search query must be between 1 and 200 characters'),
+
+  query('conversationId')
+    .optional()
+    .isMongoId()
+    .withMessage('Conversation ID must be valid'),
+
+  query('sender')
+    .optional()
+    .isMongoId()
+    .withMessage('Sender must be a valid user ID'),
+
+  query('type')
+    .optional()
+    .isIn(['text', 'image', 'file', 'system'])
+    .withMessage('Message type must be text, image, file, or system'),
+
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be in ISO 8601 format'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+
+  handleValidationErrors
+];
+
 // Conversation validation
 export const validateConversation = [
   body('participants')
@@ -93,6 +276,95 @@ export const validateConversation = [
   handleValidationErrors
 ];
 
+// Per-user conversation settings validation
+export const validateConversationSettings = [
+  body(['muted', 'pinned', 'archived'])
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('muted, pinned and archived must be booleans'),
+
+  body('mutedUntil')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('mutedUntil must be an ISO 8601 date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('mutedUntil must be in the future'),
+
+  handleValidationErrors
+];
+
+// Mark conversation read validation
+export const validateMarkRead = [
+  body('messageId')
+    .optional()
+    .isMongoId()
+    .withMessage('messageId must be a valid message ID'),
+
+  handleValidationErrors
+];
+
+// Content report validation
+export const validateReport = [
+  body('reason')
+    .isIn(REPORT_REASONS)
+    .withMessage(`Reason must be one of: ${REPORT_REASONS.join(', ')}`),
+
+  body('details')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Details cannot exceed 1000 characters'),
+
+  handleValidationErrors
+];
+
+// Moderation action validation
+export const validateReportAction = [
+  body('action')
+    .isIn(REPORT_ACTIONS)
+    .withMessage(`Action must be one of: ${REPORT_ACTIONS.join(', ')}`),
+
+  body('note')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Note cannot exceed 1000 characters'),
+
+  handleValidationErrors
+];
+
+// Report dismissal validation
+export const validateReportDismissal = [
+  body('note')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Note cannot exceed 1000 characters'),
+
+  handleValidationErrors
+];
+
+// Contact request validation
+export const validateContactRequest = [
+  body('userId')
+    .isMongoId()
+    .withMessage('userId must be a valid user ID'),
+
+  handleValidationErrors
+];
+
+// Privacy settings validation
+export const validatePrivacyUpdate = [
+  body('allowConversationsFrom')
+    .isIn(CONVERSATION_PRIVACY_OPTIONS)
+    .withMessage(`allowConversationsFrom must be one of: ${CONVERSATION_PRIVACY_OPTIONS.join(', ')}`),
+
+  handleValidationErrors
+];
+
 // Update profile validation
 export const validateProfileUpdate = [
   body('username')
@@ -149,6 +421,45 @@ export const validateAdminLogin = [
   handleValidationErrors
 ];
 
+// Two-factor code validation (TOTP or recovery code)
+export const validateTwoFactorCode = [
+  body('code')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Authentication code is required'),
+
+  handleValidationErrors
+];
+
+// Two-factor login completion validation
+export const validateTwoFactorLogin = [
+  body('twoFactorToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Two-factor token is required'),
+
+  ...validateTwoFactorCode
+];
+
+// Two-factor disable validation
+export const validateTwoFactorDisable = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+
+  ...validateTwoFactorCode
+];
+
+// Two-factor policy validation
+export const validateTwoFactorPolicy = [
+  body('required')
+    .isBoolean()
+    .withMessage('required must be a boolean'),
+
+  handleValidationErrors
+];
+
 // Admin registration validation
 export const validateAdminRegister = [
   body('username')
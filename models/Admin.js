@@ -1,5 +1,7 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import { generateSecret, verifyCode, buildOtpauthUri, generateRecoveryCodes } from '../services/totp.js';
 
 const adminSchema = new mongoose.Schema({
   username: {
@@ -56,7 +58,8 @@ const adminSchema = new mongoose.Schema({
       'message_management',
       'system_settings',
       'analytics_view',
-      'admin_management'
+      'admin_management',
+      'audit_view'
     ]
   }],
   isActive: {
@@ -87,6 +90,17 @@ const adminSchema = new mongoose.Schema({
   twoFactorSecret: {
     type: String,
     default: null
+  },
+  twoFactorRecoveryCodes: [{
+    type: String // SHA-256 hashes of unused recovery codes
+  }],
+  twoFactorEnabledAt: {
+    type: Date,
+    default: null
+  },
+  twoFactorLastUsedStep: {
+    type: Number,
+    default: null
   }
 }, {
   timestamps: true
@@ -131,7 +145,8 @@ adminSchema.pre('save', function(next) {
           'message_management',
           'system_settings',
           'analytics_view',
-          'admin_management'
+          'admin_management',
+          'audit_view'
         ];
         break;
       case 'admin':
@@ -186,9 +201,95 @@ adminSchema.methods.resetLoginAttempts = function() {
   });
 };
 
-// Check if admin has specific permission
+// Check if admin has specific permission (super admins have every permission,
+// including ones added after their account was created)
 adminSchema.methods.hasPermission = function(permission) {
-  return this.permissions.includes(permission);
+  return this.role === 'super_admin' || this.permissions.includes(permission);
+};
+
+const hashRecoveryCode = (code) => {
+  return crypto.createHash('sha256').update(String(code).trim().toLowerCase()).digest('hex');
+};
+
+// Issue a fresh set of recovery codes, replacing any unused ones.
+// Returns the plain codes; only their hashes are stored.
+const issueRecoveryCodes = (admin) => {
+  const codes = generateRecoveryCodes();
+  admin.twoFactorRecoveryCodes = codes.map(hashRecoveryCode);
+  return codes;
+};
+
+// Start 2FA enrollment with a new secret (not active until confirmed with enableTwoFactor)
+adminSchema.methods.setupTwoFactor = async function() {
+  this.twoFactorSecret = generateSecret();
+  this.twoFactorEnabled = false;
+  this.twoFactorRecoveryCodes = [];
+  this.twoFactorLastUsedStep = null;
+  await this.save();
+
+  return {
+    secret: this.twoFactorSecret,
+    otpauthUri: buildOtpauthUri({
+      secret: this.twoFactorSecret,
+      accountName: this.email,
+      issuer: process.env.TWO_FACTOR_ISSUER || 'Chat Admin'
+    })
+  };
+};
+
+// Confirm enrollment with a code from the authenticator app.
+// Returns the recovery codes, or null if the code is wrong.
+adminSchema.methods.enableTwoFactor = async function(code) {
+  const step = verifyCode(this.twoFactorSecret, code);
+  if (step === null) return null;
+
+  this.twoFactorEnabled = true;
+  this.twoFactorEnabledAt = new Date();
+  this.twoFactorLastUsedStep = step;
+  const recoveryCodes = issueRecoveryCodes(this);
+  await this.save();
+
+  return recoveryCodes;
+};
+
+// Check a TOTP code or single-use recovery code.
+// Returns 'totp', 'recovery_code', or null if neither matches.
+adminSchema.methods.verifyTwoFactor = async function(code) {
+  if (!this.twoFactorEnabled) return null;
+
+  // Each TOTP code is accepted once, so a captured code cannot be replayed
+  const step = verifyCode(this.twoFactorSecret, code);
+  if (step !== null && (this.twoFactorLastUsedStep === null || step > this.twoFactorLastUsedStep)) {
+    this.twoFactorLastUsedStep = step;
+    await this.save();
+    return 'totp';
+  }
+
+  const hash = hashRecoveryCode(code);
+  if (this.twoFactorRecoveryCodes.includes(hash)) {
+    this.twoFactorRecoveryCodes = this.twoFactorRecoveryCodes.filter(existing => existing !== hash);
+    await this.save();
+    return 'recovery_code';
+  }
+
+  return null;
+};
+
+// Replace the recovery codes with a new set
+adminSchema.methods.regenerateRecoveryCodes = async function() {
+  const recoveryCodes = issueRecoveryCodes(this);
+  await this.save();
+  return recoveryCodes;
+};
+
+// Turn off 2FA and discard the secret and recovery codes
+adminSchema.methods.disableTwoFactor = function() {
+  this.twoFactorEnabled = false;
+  this.twoFactorSecret = null;
+  this.twoFactorRecoveryCodes = [];
+  this.twoFactorEnabledAt = null;
+  this.twoFactorLastUsedStep = null;
+  return this.save();
 };
 
 // Deactivate admin account
@@ -210,7 +311,10 @@ adminSchema.methods.toJSON = function() {
   const admin = this.toObject({ virtuals: true });
   delete admin.password;
   delete admin.twoFactorSecret;
+  delete admin.twoFactorRecoveryCodes;
+  delete admin.twoFactorLastUsedStep;
   delete admin.__v;
+  admin.recoveryCodesRemaining = this.twoFactorEnabled ? this.twoFactorRecoveryCodes.length : 0;
   return admin;
 };
 
@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// How long each kind of token stays valid
+const TOKEN_TTL_MS = {
+  email_verification: 24 * 60 * 60 * 1000, // 24 hours
+  password_reset: 60 * 60 * 1000 // 1 hour
+};
+
+const authTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: Object.keys(TOKEN_TTL_MS),
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+authTokenSchema.index({ tokenHash: 1 }, { unique: true });
+authTokenSchema.index({ user: 1, type: 1 });
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Clean up expired tokens
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Static method to issue a new token, invalidating earlier unused ones of the same type
+authTokenSchema.statics.issue = async function(userId, type) {
+  await this.deleteMany({ user: userId, type, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await this.create({
+    user: userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_TTL_MS[type])
+  });
+
+  return token;
+};
+
+// Static method to consume a token: returns the user ID once, or null if invalid/expired/used
+authTokenSchema.statics.consume = async function(token, type) {
+  if (typeof token !== 'string' || token.length === 0) return null;
+
+  const authToken = await this.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+
+  return authToken ? authToken.user : null;
+};
+
+export default mongoose.model('AuthToken', authTokenSchema);
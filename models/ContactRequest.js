@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+const contactRequestSchema = new mongoose.Schema({
+  requester: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'cancelled'],
+    default: 'pending'
+  },
+  respondedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+contactRequestSchema.index({ recipient: 1, status: 1, createdAt: -1 });
+contactRequestSchema.index({ requester: 1, status: 1, createdAt: -1 });
+// Only one pending request per direction
+contactRequestSchema.index(
+  { requester: 1, recipient: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+// Static method to find a pending request between two users, in either direction
+contactRequestSchema.statics.findPendingBetween = function(userId1, userId2) {
+  return this.findOne({
+    status: 'pending',
+    $or: [
+      { requester: userId1, recipient: userId2 },
+      { requester: userId2, recipient: userId1 }
+    ]
+  });
+};
+
+// Static method to cancel pending requests between two users, e.g. after a block
+contactRequestSchema.statics.cancelPendingBetween = function(userId1, userId2) {
+  return this.updateMany({
+    status: 'pending',
+    $or: [
+      { requester: userId1, recipient: userId2 },
+      { requester: userId2, recipient: userId1 }
+    ]
+  }, {
+    status: 'cancelled',
+    respondedAt: new Date()
+  });
+};
+
+// Method to close the request with a final status
+contactRequestSchema.methods.resolve = function(status) {
+  this.status = status;
+  this.respondedAt = new Date();
+  return this.save();
+};
+
+export default mongoose.model('ContactRequest', contactRequestSchema);
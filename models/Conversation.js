@@ -1,5 +1,72 @@
 import mongoose from 'mongoose';
 
+// Group roles, from least to most privileged
+const GROUP_ROLES = ['member', 'admin', 'owner'];
+
+// Participants, owner and createdBy may be populated documents or plain IDs
+const idOf = (value) => value?._id || value;
+
+// Most recent skipped sequence numbers kept per conversation
+const MAX_SKIPPED_SEQUENCES = 1000;
+
+// Participant settings fields of each watermark: the newest message covered,
+// its sequence and timestamp, and when the watermark moved there
+const WATERMARK_FIELDS = {
+  read: { message: 'lastReadMessage', sequence: 'lastReadSequence', messageAt: 'lastReadMessageAt', at: 'readAt' },
+  delivered: { message: 'lastDeliveredMessage', sequence: 'lastDeliveredSequence', messageAt: 'lastDeliveredMessageAt', at: 'deliveredAt' }
+};
+
+// Compare two message positions ({ sequence, createdAt, _id }) in the order of
+// message listings: by sequence, with messages that have none (created before
+// sequences existed) first, by (createdAt, _id)
+const comparePositions = (a, b) => {
+  const aSequence = a.sequence ?? null;
+  const bSequence = b.sequence ?? null;
+
+  if (aSequence !== null || bSequence !== null) {
+    if (aSequence === null) return -1;
+    if (bSequence === null) return 1;
+    return aSequence - bSequence;
+  }
+  if (a.createdAt.getTime() !== b.createdAt.getTime()) return a.createdAt - b.createdAt;
+
+  const aId = a._id.toString();
+  const bId = b._id.toString();
+  return aId === bId ? 0 : aId < bId ? -1 : 1;
+};
+
+// Check if a watermark covers a message
+const watermarkCovers = (settings, fields, message) => {
+  if (!settings?.[fields.message]) return false;
+
+  return comparePositions({
+    sequence: settings[fields.sequence],
+    createdAt: settings[fields.messageAt],
+    _id: settings[fields.message]
+  }, message) >= 0;
+};
+
+// Query (inside participantSettings) for watermarks behind a message
+const watermarkBehind = (fields, message) => {
+  if (message.sequence !== null && message.sequence !== undefined) {
+    return {
+      $or: [
+        { [fields.sequence]: null },
+        { [fields.sequence]: { $lt: message.sequence } }
+      ]
+    };
+  }
+
+  return {
+    [fields.sequence]: null,
+    $or: [
+      { [fields.messageAt]: null },
+      { [fields.messageAt]: { $lt: message.createdAt } },
+      { [fields.messageAt]: message.createdAt, [fields.message]: { $lt: message._id } }
+    ]
+  };
+};
+
 const conversationSchema = new mongoose.Schema({
   participants: [{
     type: mongoose.Schema.Types.ObjectId,
@@ -34,11 +101,93 @@ const conversationSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // Sequence number of the newest message; each message gets the next one
+  lastSequence: {
+    type: Number,
+    default: 0
+  },
+  // Sequence numbers taken by messages that failed to save; they will never exist
+  skippedSequences: {
+    type: [Number],
+    select: false
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  admins: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  participantSettings: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    muted: {
+      type: Boolean,
+      default: false
+    },
+    mutedUntil: {
+      type: Date,
+      default: null
+    },
+    pinnedAt: {
+      type: Date,
+      default: null
+    },
+    archivedAt: {
+      type: Date,
+      default: null
+    },
+    // Read watermark: the newest message the participant has read (everything
+    // up to and including it counts as read), its sequence and timestamp, and
+    // when it was read
+    lastReadMessage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message',
+      default: null
+    },
+    lastReadSequence: {
+      type: Number,
+      default: null
+    },
+    lastReadMessageAt: {
+      type: Date,
+      default: null
+    },
+    readAt: {
+      type: Date,
+      default: null
+    },
+    // Delivery watermark: the newest message that reached one of the
+    // participant's devices, its sequence and timestamp, and when it was delivered
+    lastDeliveredMessage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message',
+      default: null
+    },
+    lastDeliveredSequence: {
+      type: Number,
+      default: null
+    },
+    lastDeliveredMessageAt: {
+      type: Date,
+      default: null
+    },
+    deliveredAt: {
+      type: Date,
+      default: null
+    }
+  }],
   isActive: {
     type: Boolean,
     default: true
@@ -51,6 +200,7 @@ const conversationSchema = new mongoose.Schema({
 conversationSchema.index({ participants: 1 });
 conversationSchema.index({ lastActivity: -1 });
 conversationSchema.index({ type: 1 });
+conversationSchema.index({ 'participantSettings.user': 1 });
 
 // Validate participants
 conversationSchema.pre('save', function(next) {
@@ -63,6 +213,14 @@ conversationSchema.pre('save', function(next) {
   next();
 });
 
+// Persist the owner for groups created before roles existed
+conversationSchema.pre('save', function(next) {
+  if (this.type === 'group' && !this.owner) {
+    this.owner = this.getOwnerId();
+  }
+  next();
+});
+
 // Static method to find conversation between users
 conversationSchema.statics.findDirectConversation = function(userId1, userId2) {
   return this.findOne({
@@ -72,15 +230,82 @@ conversationSchema.statics.findDirectConversation = function(userId1, userId2) {
     .populate('lastMessage');
 };
 
-// Static method to find user's conversations
-conversationSchema.statics.findUserConversations = function(userId) {
-  return this.find({
+// Static method to atomically take the next message sequence number of a conversation
+conversationSchema.statics.nextMessageSequence = async function(conversationId) {
+  const conversation = await this.findByIdAndUpdate(
+    conversationId,
+    { $inc: { lastSequence: 1 } },
+    { new: true, select: 'lastSequence' }
+  );
+
+  if (!conversation) {
+    throw new Error('Conversation not found');
+  }
+  return conversation.lastSequence;
+};
+
+// Static method to record a sequence number that no message will ever have.
+// Only the most recent MAX_SKIPPED_SEQUENCES are kept.
+conversationSchema.statics.recordSkippedSequence = function(conversationId, sequence) {
+  return this.updateOne(
+    { _id: conversationId },
+    { $push: { skippedSequences: { $each: [sequence], $sort: 1, $slice: -MAX_SKIPPED_SEQUENCES } } }
+  );
+};
+
+// Static method to get the skipped sequence numbers from `from` up to `to`
+// (inclusive; null for no upper bound). Only the numbers in range are loaded.
+conversationSchema.statics.getSkippedSequences = async function(conversationId, from, to = null) {
+  const inRange = [{ $gte: ['$$sequence', from] }];
+  if (to !== null) {
+    inRange.push({ $lte: ['$$sequence', to] });
+  }
+
+  const [conversation] = await this.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(conversationId.toString()) } },
+    {
+      $project: {
+        skippedSequences: {
+          $filter: {
+            input: { $ifNull: ['$skippedSequences', []] },
+            as: 'sequence',
+            cond: { $and: inRange }
+          }
+        }
+      }
+    }
+  ]);
+
+  return conversation ? conversation.skippedSequences : [];
+};
+
+// Static method to find user's conversations.
+// Archived conversations are only returned when `archived` is true;
+// pinned conversations come first, then by last activity.
+conversationSchema.statics.findUserConversations = async function(userId, { archived = false } = {}) {
+  const archivedByUser = {
+    $elemMatch: { user: userId, archivedAt: { $ne: null } }
+  };
+
+  const conversations = await this.find({
     participants: userId,
-    isActive: true
+    isActive: true,
+    participantSettings: archived ? archivedByUser : { $not: archivedByUser }
   })
   .populate('participants', 'username email avatar isOnline lastSeen')
   .populate('lastMessage')
   .sort({ lastActivity: -1 });
+
+  const pinnedAt = (conversation) => conversation.getParticipantSettings(userId)?.pinnedAt;
+
+  return conversations.sort((a, b) => {
+    const pinnedA = pinnedAt(a);
+    const pinnedB = pinnedAt(b);
+    if (pinnedA && pinnedB) return pinnedB - pinnedA;
+    if (pinnedA) return -1;
+    if (pinnedB) return 1;
+    return 0; // keep lastActivity order
+  });
 };
 
 // Method to add participant
@@ -94,9 +319,19 @@ conversationSchema.methods.addParticipant = function(userId) {
 
 // Method to remove participant
 conversationSchema.methods.removeParticipant = function(userId) {
+  const ownerId = this.getOwnerId();
+
   this.participants = this.participants.filter(
     participant => !participant.equals(userId)
   );
+  this.admins = this.admins.filter(admin => !idOf(admin).equals(userId));
+
+  // Pass ownership on when the owner leaves: longest-serving admin first, then oldest member
+  if (ownerId && ownerId.equals(userId)) {
+    const successor = this.admins[0] || this.participants[0] || null;
+    this.owner = successor ? idOf(successor) : null;
+    this.admins = this.admins.filter(admin => !successor || !idOf(admin).equals(idOf(successor)));
+  }
   
   // Deactivate conversation if no participants left
   if (this.participants.length === 0) {
@@ -106,6 +341,274 @@ conversationSchema.methods.removeParticipant = function(userId) {
   return this.save();
 };
 
+// Method to get the group owner's ID. Groups created before roles existed
+// are owned by their creator, or by the oldest member once the creator left.
+conversationSchema.methods.getOwnerId = function() {
+  if (this.type !== 'group') return null;
+  if (this.owner) return idOf(this.owner);
+
+  const creatorId = idOf(this.createdBy);
+  if (creatorId && this.participants.some(p => idOf(p).equals(creatorId))) {
+    return creatorId;
+  }
+  return this.participants.length > 0 ? idOf(this.participants[0]) : null;
+};
+
+// Method to get a participant's role ('owner', 'admin', 'member' or null)
+conversationSchema.methods.getRole = function(userId) {
+  if (!this.participants.some(p => idOf(p).equals(userId))) {
+    return null;
+  }
+  if (this.type !== 'group') {
+    return 'member';
+  }
+
+  const ownerId = this.getOwnerId();
+  if (ownerId && ownerId.equals(userId)) {
+    return 'owner';
+  }
+  if (this.admins.some(admin => idOf(admin).equals(userId))) {
+    return 'admin';
+  }
+  return 'member';
+};
+
+// Method to check if a participant has at least the given role
+conversationSchema.methods.hasRole = function(userId, role) {
+  const userRole = this.getRole(userId);
+  return !!userRole && GROUP_ROLES.indexOf(userRole) >= GROUP_ROLES.indexOf(role);
+};
+
+// Method to set a participant's role to 'admin' or 'member'
+conversationSchema.methods.setRole = function(userId, role) {
+  this.admins = this.admins.filter(admin => !idOf(admin).equals(userId));
+  if (role === 'admin') {
+    this.admins.push(userId);
+  }
+  return this.save();
+};
+
+// Method to transfer ownership to another participant (previous owner becomes admin)
+conversationSchema.methods.transferOwnership = function(newOwnerId) {
+  const previousOwnerId = this.getOwnerId();
+
+  this.admins = this.admins.filter(admin => !idOf(admin).equals(newOwnerId));
+  if (previousOwnerId && !this.admins.some(admin => idOf(admin).equals(previousOwnerId))) {
+    this.admins.push(previousOwnerId);
+  }
+  this.owner = newOwnerId;
+
+  return this.save();
+};
+
+// Method to get the other participant of a direct conversation
+conversationSchema.methods.getOtherParticipant = function(userId) {
+  if (this.type !== 'direct') return null;
+  const other = this.participants.find(p => !idOf(p).equals(userId));
+  return other ? idOf(other) : null;
+};
+
+// Method to get a participant's personal settings for this conversation
+conversationSchema.methods.getParticipantSettings = function(userId) {
+  return this.participantSettings.find(settings => idOf(settings.user).equals(userId)) || null;
+};
+
+// Method to update a participant's personal settings.
+// `changes` may contain muted/mutedUntil, pinned and archived.
+conversationSchema.methods.updateParticipantSettings = function(userId, changes) {
+  let settings = this.getParticipantSettings(userId);
+
+  if (!settings) {
+    this.participantSettings.push({ user: userId });
+    settings = this.participantSettings[this.participantSettings.length - 1];
+  }
+
+  if (changes.muted !== undefined) {
+    settings.muted = changes.muted;
+    settings.mutedUntil = changes.muted ? (changes.mutedUntil || null) : null;
+  }
+  if (changes.pinned !== undefined) {
+    settings.pinnedAt = changes.pinned ? (settings.pinnedAt || new Date()) : null;
+  }
+  if (changes.archived !== undefined) {
+    settings.archivedAt = changes.archived ? (settings.archivedAt || new Date()) : null;
+  }
+
+  return this.save();
+};
+
+// Method to get a participant's watermark ('read' or 'delivered'), or null if
+// it has not moved yet. Fields are named as in participantSettings.
+conversationSchema.methods.getWatermark = function(userId, kind) {
+  const fields = WATERMARK_FIELDS[kind];
+  const settings = this.getParticipantSettings(userId);
+  if (!settings?.[fields.message]) return null;
+
+  return Object.fromEntries(Object.values(fields).map(field => [field, settings[field]]));
+};
+
+// Method to get a participant's read watermark, or null if they have read nothing yet
+conversationSchema.methods.getReadWatermark = function(userId) {
+  return this.getWatermark(userId, 'read');
+};
+
+// Method to get every current participant's read watermark
+conversationSchema.methods.getReadState = function() {
+  return this.participants
+    .map(participant => {
+      const watermark = this.getReadWatermark(idOf(participant));
+      return watermark && {
+        user: idOf(participant),
+        lastReadMessage: watermark.lastReadMessage,
+        readAt: watermark.readAt
+      };
+    })
+    .filter(Boolean);
+};
+
+// Method to move a participant's watermark ('read' or 'delivered') up to a
+// message, or up to the newest message when no ID is given. Watermarks only
+// move forward. Returns { watermark, previous, moved }, or null if the message
+// is not in this conversation.
+conversationSchema.methods.advanceWatermark = async function(kind, userId, messageId = null, at = new Date()) {
+  const fields = WATERMARK_FIELDS[kind];
+  const Message = this.model('Message');
+  const message = messageId
+    ? await Message.findOne({ _id: messageId, conversation: this._id }).select('createdAt sequence')
+    : await Message.findOne({ conversation: this._id })
+      .sort({ sequence: -1, createdAt: -1, _id: -1 })
+      .select('createdAt sequence');
+
+  const previous = this.getWatermark(userId, kind);
+
+  if (!message) {
+    return messageId ? null : { watermark: previous, previous, moved: false };
+  }
+
+  const watermark = {
+    [fields.message]: message._id,
+    [fields.sequence]: message.sequence ?? null,
+    [fields.messageAt]: message.createdAt,
+    [fields.at]: at
+  };
+
+  // Atomic so concurrent updates (other devices, other participants) never move it back
+  const behind = {
+    $elemMatch: {
+      user: userId,
+      ...watermarkBehind(fields, message)
+    }
+  };
+  const positional = Object.fromEntries(
+    Object.entries(watermark).map(([key, value]) => [`participantSettings.$.${key}`, value])
+  );
+
+  let result = await this.constructor.updateOne(
+    { _id: this._id, participantSettings: behind },
+    { $set: positional }
+  );
+  if (result.modifiedCount === 0) {
+    result = await this.constructor.updateOne(
+      { _id: this._id, 'participantSettings.user': { $ne: userId } },
+      { $push: { participantSettings: { user: userId, ...watermark } } }
+    );
+  }
+
+  const moved = result.modifiedCount > 0;
+  if (!moved) {
+    return { watermark: previous, previous, moved };
+  }
+
+  // Keep this document in step with the database
+  const settings = this.getParticipantSettings(userId);
+  if (settings) {
+    Object.assign(settings, watermark);
+  } else {
+    this.participantSettings.push({ user: userId, ...watermark });
+  }
+
+  return { watermark, previous, moved };
+};
+
+// Method to mark the conversation read by a participant up to a message (default the newest)
+conversationSchema.methods.markReadBy = function(userId, messageId = null, readAt = new Date()) {
+  return this.advanceWatermark('read', userId, messageId, readAt);
+};
+
+// Method to record that messages up to one reached a participant's device
+conversationSchema.methods.markDeliveredTo = function(userId, messageId, deliveredAt = new Date()) {
+  return this.advanceWatermark('delivered', userId, messageId, deliveredAt);
+};
+
+// Method to get the receipt of every recipient of a message: 'read', 'delivered'
+// or 'sent', with times. Reading implies delivery. The times are when the
+// recipient's watermark last moved, so for older messages they can be later
+// than the actual delivery or read.
+conversationSchema.methods.getReceipts = function(message) {
+  const senderId = idOf(message.sender);
+
+  return this.participants
+    .map(idOf)
+    .filter(userId => !userId.equals(senderId))
+    .map(userId => {
+      const settings = this.getParticipantSettings(userId);
+      const read = watermarkCovers(settings, WATERMARK_FIELDS.read, message);
+      const delivered = watermarkCovers(settings, WATERMARK_FIELDS.delivered, message);
+
+      return {
+        user: userId,
+        status: read ? 'read' : delivered ? 'delivered' : 'sent',
+        deliveredAt: delivered ? settings.deliveredAt : read ? settings.readAt : null,
+        readAt: read ? settings.readAt : null
+      };
+    });
+};
+
+// Method to summarize a message's delivery state: the recipient's receipt for
+// direct conversations, counts for groups
+conversationSchema.methods.getDeliverySummary = function(message, receipts = this.getReceipts(message)) {
+  if (this.type === 'direct') {
+    const { status, deliveredAt, readAt } = receipts[0] || { status: 'sent', deliveredAt: null, readAt: null };
+    return { status, deliveredAt, readAt };
+  }
+
+  return {
+    recipients: receipts.length,
+    delivered: receipts.filter(receipt => receipt.status !== 'sent').length,
+    read: receipts.filter(receipt => receipt.status === 'read').length
+  };
+};
+
+// Method to get a participant's settings in API form
+conversationSchema.methods.getSettingsFor = function(userId) {
+  const settings = this.getParticipantSettings(userId);
+
+  return {
+    muted: this.isMutedFor(userId),
+    mutedUntil: this.isMutedFor(userId) ? settings.mutedUntil : null,
+    pinned: !!settings?.pinnedAt,
+    pinnedAt: settings?.pinnedAt || null,
+    archived: !!settings?.archivedAt,
+    archivedAt: settings?.archivedAt || null
+  };
+};
+
+// Method to serialize for one participant (their settings only)
+conversationSchema.methods.toJSONFor = function(userId) {
+  const conversation = this.toJSON();
+  delete conversation.participantSettings;
+  conversation.settings = this.getSettingsFor(userId);
+  conversation.readState = this.getReadState();
+  return conversation;
+};
+
+// Method to check if a participant has muted this conversation
+conversationSchema.methods.isMutedFor = function(userId) {
+  const settings = this.getParticipantSettings(userId);
+  if (!settings || !settings.muted) return false;
+  return !settings.mutedUntil || settings.mutedUntil > new Date();
+};
+
 // Method to update last activity
 conversationSchema.methods.updateLastActivity = function(messageId = null) {
   this.lastActivity = new Date();
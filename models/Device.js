@@ -0,0 +1,100 @@
+import mongoose from 'mongoose';
+
+const deviceSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Session that registered the device; revoking the session removes it
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    default: null
+  },
+  provider: {
+    type: String,
+    enum: ['webpush'],
+    default: 'webpush'
+  },
+  endpoint: {
+    type: String,
+    required: [true, 'Subscription endpoint is required'],
+    trim: true
+  },
+  keys: {
+    p256dh: {
+      type: String,
+      default: null
+    },
+    auth: {
+      type: String,
+      default: null
+    }
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Device name cannot exceed 100 characters'],
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  failureCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+deviceSchema.index({ endpoint: 1 }, { unique: true });
+deviceSchema.index({ user: 1 });
+deviceSchema.index({ session: 1 });
+
+// Static method to register (or re-assign) a subscription for a user
+deviceSchema.statics.register = function(userId, { sessionId = null, provider = 'webpush', endpoint, keys, name, userAgent }) {
+  return this.findOneAndUpdate(
+    { endpoint },
+    {
+      $set: {
+        user: userId,
+        session: sessionId,
+        provider,
+        keys,
+        name: name || null,
+        userAgent: userAgent || null,
+        lastUsedAt: new Date(),
+        failureCount: 0
+      }
+    },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Static method to find devices for a set of users
+deviceSchema.statics.findForUsers = function(userIds) {
+  return this.find({ user: { $in: userIds } });
+};
+
+// Static method to remove the devices registered by revoked sessions
+deviceSchema.statics.removeForSessions = function(sessionIds) {
+  return this.deleteMany({ session: { $in: sessionIds } });
+};
+
+// Transform output (hide subscription secrets)
+deviceSchema.methods.toJSON = function() {
+  const device = this.toObject();
+  delete device.keys;
+  delete device.__v;
+  return device;
+};
+
+export default mongoose.model('Device', deviceSchema);
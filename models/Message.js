@@ -6,6 +6,10 @@ const messageSchema = new mongoose.Schema({
     ref: 'Conversation',
     required: true
   },
+  // Position in the conversation (1, 2, 3, ...), assigned atomically on creation
+  sequence: {
+    type: Number
+  },
   sender: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -34,20 +38,32 @@ const messageSchema = new mongoose.Schema({
     type: Number,
     default: null
   },
-  readBy: [{
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    readAt: {
-      type: Date,
-      default: Date.now
-    }
-  }],
+  mimeType: {
+    type: String,
+    default: null
+  },
+  fileKey: {
+    type: String,
+    default: null
+  },
+  // Client-generated ID that makes sending idempotent: retries with the same
+  // ID return the stored message instead of creating a duplicate
+  clientMessageId: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Client message ID cannot exceed 100 characters']
+  },
   editedAt: {
     type: Date,
     default: null
   },
+  // Earlier versions of the content, oldest first. Each entry records the
+  // text and when that version was posted.
+  editHistory: [{
+    _id: false,
+    content: String,
+    createdAt: Date
+  }],
   isEdited: {
     type: Boolean,
     default: false
@@ -64,78 +80,506 @@ const messageSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Message',
     default: null
-  }
+  },
+  reactions: [{
+    _id: false,
+    emoji: {
+      type: String,
+      required: true
+    },
+    users: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }]
+  }]
 }, {
   timestamps: true
 });
 
 // Indexes for better performance
-messageSchema.index({ conversation: 1, createdAt: -1 });
+messageSchema.index({ conversation: 1, createdAt: -1, _id: -1 });
+messageSchema.index({ conversation: 1, sequence: -1, createdAt: -1, _id: -1 });
 messageSchema.index({ sender: 1 });
-messageSchema.index({ 'readBy.user': 1 });
+messageSchema.index(
+  { conversation: 1, sequence: 1 },
+  { unique: true, partialFilterExpression: { sequence: { $type: 'number' } } }
+);
+messageSchema.index(
+  { sender: 1, clientMessageId: 1 },
+  { unique: true, partialFilterExpression: { clientMessageId: { $type: 'string' } } }
+);
+messageSchema.index({ content: 'text' });
 
-// Virtual for checking if message is read by specific user
-messageSchema.virtual('isReadBy').get(function() {
-  return (userId) => {
-    return this.readBy.some(read => read.user.equals(userId));
-  };
+// Assign the next sequence number of the conversation to new messages
+messageSchema.pre('save', async function(next) {
+  if (!this.isNew || this.sequence) return next();
+
+  try {
+    this.sequence = await this.model('Conversation').nextMessageSequence(this.conversation);
+    this.$locals.assignedSequence = true;
+    next();
+  } catch (error) {
+    next(error);
+  }
 });
 
-// Static method to get conversation messages
-messageSchema.statics.getConversationMessages = function(conversationId, page = 1, limit = 50) {
-  const skip = (page - 1) * limit;
-  
-  return this.find({
+messageSchema.post('save', function(doc, next) {
+  delete this.$locals.assignedSequence;
+  next();
+});
+
+// If the insert fails (e.g. a duplicate clientMessageId), its sequence number
+// is used up: record it so range fetches can report it, and let a retried
+// save take a new one
+messageSchema.post('save', function(error, doc, next) {
+  if (!this.$locals.assignedSequence) return next(error);
+
+  const sequence = this.sequence;
+  delete this.$locals.assignedSequence;
+  this.sequence = undefined;
+
+  this.model('Conversation').recordSkippedSequence(this.conversation, sequence)
+    .catch(recordError => console.error('Record skipped sequence error:', recordError))
+    .finally(() => next(error));
+});
+
+// Aggregate reactions into { emoji, count, users } entries
+const summarizeReactions = (reactions = []) => {
+  return reactions
+    .filter(reaction => reaction.users.length > 0)
+    .map(reaction => ({
+      emoji: reaction.emoji,
+      count: reaction.users.length,
+      users: reaction.users.map(user => user.toString())
+    }));
+};
+
+// Populate fields shared by every message listing
+const populateMessage = (query) => {
+  return query
+    .populate('sender', 'username email avatar')
+    .populate('replyTo', 'content sender');
+};
+
+// Build a keyset condition relative to a cursor ({ createdAt, _id })
+const cursorCondition = (cursor, direction) => {
+  const op = direction === 'before' ? '$lt' : '$gt';
+  if (!cursor._id) {
+    return { createdAt: { [op]: cursor.createdAt } };
+  }
+  return {
+    $or: [
+      { createdAt: { [op]: cursor.createdAt } },
+      { createdAt: cursor.createdAt, _id: { [op]: cursor._id } }
+    ]
+  };
+};
+
+// Keyset condition for conversation listings, which are in sequence order.
+// Messages without a sequence (created before sequences existed) sort before
+// all others, by (createdAt, _id). Timestamp cursors compare by time.
+const sequenceCursorCondition = (cursor, direction) => {
+  if (!cursor._id) {
+    return cursorCondition(cursor, direction);
+  }
+
+  if (cursor.sequence === null || cursor.sequence === undefined) {
+    const unsequenced = { sequence: null, ...cursorCondition(cursor, direction) };
+    return direction === 'before'
+      ? unsequenced
+      : { $or: [{ sequence: { $ne: null } }, unsequenced] };
+  }
+
+  return direction === 'before'
+    ? { $or: [{ sequence: { $lt: cursor.sequence } }, { sequence: null }] }
+    : { sequence: { $gt: cursor.sequence } };
+};
+
+// Escape a string for use inside a RegExp
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Build a short snippet around the first matched search term, with the
+// character ranges of every term match inside the snippet
+const buildSnippet = (content, terms, radius = 60) => {
+  if (!content) return { snippet: '', highlights: [] };
+
+  const pattern = terms.length
+    ? new RegExp(terms.map(escapeRegex).join('|'), 'gi')
+    : null;
+  const firstMatch = pattern ? content.search(pattern) : -1;
+
+  const start = firstMatch > radius ? firstMatch - radius : 0;
+  const end = Math.min(content.length, Math.max(firstMatch, 0) + radius * 2);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < content.length ? '…' : '';
+  const snippet = `${prefix}${content.slice(start, end)}${suffix}`;
+
+  const highlights = [];
+  if (pattern) {
+    for (const match of snippet.matchAll(pattern)) {
+      highlights.push({ start: match.index, end: match.index + match[0].length });
+    }
+  }
+
+  return { snippet, highlights };
+};
+
+// Word-level diff between two texts as [{ type: 'equal' | 'insert' | 'delete', text }].
+// Falls back to a full replacement for very long texts.
+const diffWords = (oldText = '', newText = '') => {
+  const a = oldText.split(/(\s+)/).filter(Boolean);
+  const b = newText.split(/(\s+)/).filter(Boolean);
+
+  if (a.length * b.length > 250000) {
+    return [
+      ...(oldText ? [{ type: 'delete', text: oldText }] : []),
+      ...(newText ? [{ type: 'insert', text: newText }] : [])
+    ];
+  }
+
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const diff = [];
+  const push = (type, text) => {
+    const last = diff[diff.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      diff.push({ type, text });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('equal', a[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push('delete', a[i++]);
+    } else {
+      push('insert', b[j++]);
+    }
+  }
+  while (i < a.length) push('delete', a[i++]);
+  while (j < b.length) push('insert', b[j++]);
+
+  return diff;
+};
+
+// Static method to resolve a cursor (message ID or timestamp) to a keyset position.
+// `conversation` is a conversation ID or any query on the conversation field.
+messageSchema.statics.resolveCursor = async function(conversation, value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  if (mongoose.Types.ObjectId.isValid(value) && String(value).length === 24) {
+    const message = await this.findOne({ _id: value, conversation })
+      .select('createdAt sequence');
+    return message
+      ? { createdAt: message.createdAt, _id: message._id, sequence: message.sequence }
+      : null;
+  }
+
+  const timestamp = /^\d+$/.test(value) ? new Date(parseInt(value)) : new Date(value);
+  return isNaN(timestamp.getTime()) ? null : { createdAt: timestamp, _id: null };
+};
+
+// Static method to get one page of messages in a direction from a cursor, in
+// sequence order. Returns messages in query order plus whether more exist past the page.
+messageSchema.statics.getMessagePage = async function(conversationId, { cursor = null, direction = 'before', limit = 50 } = {}) {
+  const query = {
     conversation: conversationId,
-    isDeleted: false
-  })
-  .populate('sender', 'username email avatar')
-  .populate('replyTo', 'content sender')
-  .sort({ createdAt: -1 })
-  .limit(limit)
-  .skip(skip);
+    isDeleted: false,
+    ...(cursor && sequenceCursorCondition(cursor, direction))
+  };
+  const order = direction === 'before' ? -1 : 1;
+
+  const messages = await populateMessage(
+    this.find(query)
+      .sort({ sequence: order, createdAt: order, _id: order })
+      .limit(limit + 1)
+  );
+
+  const hasMore = messages.length > limit;
+  return { messages: messages.slice(0, limit), hasMore };
 };
 
-// Method to mark as read by user
-messageSchema.methods.markAsRead = function(userId) {
-  // Check if already read by this user
-  const alreadyRead = this.readBy.some(read => read.user.equals(userId));
-  
-  if (!alreadyRead) {
-    this.readBy.push({
-      user: userId,
-      readAt: new Date()
-    });
+// Static method to get conversation messages using keyset (cursor) pagination.
+// `before`/`after` are resolved cursors; `around` is a message ID to center on.
+// Messages are returned in sequence order, oldest first.
+messageSchema.statics.getConversationMessages = async function(conversationId, { before = null, after = null, around = null, limit = 50 } = {}) {
+  let messages;
+  let hasOlder;
+  let hasNewer;
+
+  if (around) {
+    const anchor = await populateMessage(
+      this.findOne({ _id: around, conversation: conversationId, isDeleted: false })
+    );
+    if (!anchor) return null;
+
+    const anchorCursor = { createdAt: anchor.createdAt, _id: anchor._id, sequence: anchor.sequence };
+    const olderLimit = Math.floor((limit - 1) / 2);
+    const [older, newer] = await Promise.all([
+      this.getMessagePage(conversationId, { cursor: anchorCursor, direction: 'before', limit: olderLimit }),
+      this.getMessagePage(conversationId, { cursor: anchorCursor, direction: 'after', limit: limit - 1 - olderLimit })
+    ]);
+
+    messages = [...older.messages.reverse(), anchor, ...newer.messages];
+    hasOlder = older.hasMore;
+    hasNewer = newer.hasMore;
+  } else if (after) {
+    const page = await this.getMessagePage(conversationId, { cursor: after, direction: 'after', limit });
+    messages = page.messages;
+    hasOlder = true;
+    hasNewer = page.hasMore;
+  } else {
+    const page = await this.getMessagePage(conversationId, { cursor: before, direction: 'before', limit });
+    messages = page.messages.reverse();
+    hasOlder = page.hasMore;
+    hasNewer = !!before;
+  }
+
+  const first = messages[0];
+  const last = messages[messages.length - 1];
+
+  return {
+    messages,
+    hasOlder,
+    hasNewer,
+    // Pass prevCursor as `before` to load older messages, nextCursor as `after` for newer ones
+    prevCursor: hasOlder && first ? first._id.toString() : null,
+    nextCursor: hasNewer && last ? last._id.toString() : null
+  };
+};
+
+// Static method to get messages by sequence number, from `from` up to `to`
+// (both inclusive; `to` is optional), oldest first. Deleted messages are
+// included and numbers that will never be used are listed as skippedSequences,
+// so clients can account for every number in the range.
+messageSchema.statics.getMessagesBySequence = async function(conversationId, { from, to = null, limit = 50 }) {
+  const sequence = { $gte: from };
+  if (to !== null) {
+    sequence.$lte = to;
+  }
+
+  const messages = await populateMessage(
+    this.find({ conversation: conversationId, sequence })
+      .sort({ sequence: 1 })
+      .limit(limit + 1)
+  );
+
+  const hasMore = messages.length > limit;
+  const page = messages.slice(0, limit);
+  const skippedSequences = await this.model('Conversation').getSkippedSequences(
+    conversationId,
+    from,
+    hasMore ? page[page.length - 1].sequence : to
+  );
+
+  return {
+    messages: page,
+    skippedSequences,
+    hasMore,
+    // Pass as fromSequence to continue
+    nextSequence: hasMore ? page[page.length - 1].sequence + 1 : null
+  };
+};
+
+// Static method to full-text search messages within a set of conversations.
+// Results are newest first; pass nextCursor back as `cursor` for the next page.
+messageSchema.statics.searchMessages = async function(conversationIds, { q, sender = null, type = null, from = null, to = null, cursor = null, limit = 20 } = {}) {
+  const query = {
+    conversation: { $in: conversationIds },
+    isDeleted: false,
+    $text: { $search: q }
+  };
+
+  if (sender) query.sender = sender;
+  if (type) query.type = type;
+  if (from || to) {
+    query.createdAt = {
+      ...(from && { $gte: from }),
+      ...(to && { $lte: to })
+    };
+  }
+  if (cursor) {
+    query.$and = [cursorCondition(cursor, 'before')];
+  }
+
+  const messages = await populateMessage(
+    this.find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1)
+  ).populate('conversation', 'name type');
+
+  const hasMore = messages.length > limit;
+  const page = messages.slice(0, limit);
+
+  // Plain terms for highlighting (drop negated terms and quotes)
+  const terms = q.split(/\s+/)
+    .filter(term => term && !term.startsWith('-'))
+    .map(term => term.replace(/"/g, ''))
+    .filter(Boolean);
+
+  return {
+    results: page.map(message => ({
+      ...message.toJSON(),
+      ...buildSnippet(message.content, terms)
+    })),
+    hasMore,
+    nextCursor: hasMore ? page[page.length - 1]._id.toString() : null
+  };
+};
+
+// Method to add a reaction by user
+messageSchema.methods.addReaction = function(emoji, userId) {
+  let reaction = this.reactions.find(r => r.emoji === emoji);
+
+  if (!reaction) {
+    this.reactions.push({ emoji, users: [] });
+    reaction = this.reactions[this.reactions.length - 1];
+  }
+
+  if (!reaction.users.some(user => user.equals(userId))) {
+    reaction.users.push(userId);
     return this.save();
   }
-  
+
   return Promise.resolve(this);
 };
 
-// Method to edit message
+// Method to remove a reaction by user
+messageSchema.methods.removeReaction = function(emoji, userId) {
+  const reaction = this.reactions.find(r => r.emoji === emoji);
+
+  if (!reaction || !reaction.users.some(user => user.equals(userId))) {
+    return Promise.resolve(this);
+  }
+
+  reaction.users = reaction.users.filter(user => !user.equals(userId));
+  this.reactions = this.reactions.filter(r => r.users.length > 0);
+  return this.save();
+};
+
+// Method to get aggregated reaction counts
+messageSchema.methods.getReactionSummary = function() {
+  return summarizeReactions(this.reactions);
+};
+
+// Method to edit message, keeping the previous version in the edit history
 messageSchema.methods.editContent = function(newContent) {
+  this.editHistory.push({
+    content: this.content,
+    createdAt: this.editedAt || this.createdAt
+  });
   this.content = newContent;
   this.isEdited = true;
   this.editedAt = new Date();
   return this.save();
 };
 
-// Method to soft delete message
+// Method to get every version of the content, oldest first, each with a
+// diff against the version before it. For a deleted message the last version
+// is the deletion itself; only moderators should see the earlier ones.
+messageSchema.methods.getEditHistory = function() {
+  const versions = [
+    ...this.editHistory.map(({ content, createdAt }) => ({ content, createdAt })),
+    { content: this.content, createdAt: this.isDeleted ? this.deletedAt : (this.editedAt || this.createdAt) }
+  ];
+
+  return versions.map((version, index) => ({
+    version: index + 1,
+    content: version.content,
+    createdAt: version.createdAt,
+    isCurrent: index === versions.length - 1,
+    diff: index === 0 ? null : diffWords(versions[index - 1].content, version.content)
+  }));
+};
+
+// Method to soft delete message. The last content joins the edit history so
+// moderators can still review every version.
 messageSchema.methods.softDelete = function() {
+  this.editHistory.push({
+    content: this.content,
+    createdAt: this.editedAt || this.createdAt
+  });
   this.isDeleted = true;
   this.deletedAt = new Date();
   this.content = 'This message was deleted';
   return this.save();
 };
 
-// Static method to get unread count for user in conversation
-messageSchema.statics.getUnreadCount = function(conversationId, userId) {
-  return this.countDocuments({
+// Static method to get a user's unread counts for several conversations in one
+// query: messages from others after the user's read watermark. Returns a Map of
+// conversation ID to count.
+messageSchema.statics.getUnreadCounts = async function(conversations, userId) {
+  const counts = new Map(conversations.map(conversation => [conversation._id.toString(), 0]));
+  if (conversations.length === 0) return counts;
+
+  const unreadIn = conversations.map(conversation => {
+    const watermark = conversation.getReadWatermark(userId);
+    if (!watermark) return { conversation: conversation._id };
+
+    return {
+      conversation: conversation._id,
+      ...sequenceCursorCondition({
+        sequence: watermark.lastReadSequence,
+        createdAt: watermark.lastReadMessageAt,
+        _id: watermark.lastReadMessage
+      }, 'after')
+    };
+  });
+
+  const results = await this.aggregate([
+    {
+      $match: {
+        $or: unreadIn,
+        sender: { $ne: new mongoose.Types.ObjectId(userId.toString()) },
+        isDeleted: false
+      }
+    },
+    { $group: { _id: '$conversation', count: { $sum: 1 } } }
+  ]);
+
+  results.forEach(({ _id, count }) => counts.set(_id.toString(), count));
+  return counts;
+};
+
+// Static method to find messages others sent in a conversation after one
+// position ({ sequence, createdAt, _id }, or null for the start) and up to
+// another, inclusive, newest first in sequence order
+messageSchema.statics.findReceivedBetween = function(conversationId, userId, after, through, limit = 100) {
+  const conditions = [{
+    $or: [
+      sequenceCursorCondition(through, 'before'),
+      { _id: through._id }
+    ]
+  }];
+  if (after) {
+    conditions.push(sequenceCursorCondition(after, 'after'));
+  }
+
+  return this.find({
     conversation: conversationId,
     sender: { $ne: userId },
-    'readBy.user': { $ne: userId },
-    isDeleted: false
-  });
+    $and: conditions
+  })
+  .sort({ sequence: -1, createdAt: -1, _id: -1 })
+  .limit(limit)
+  .select('sender createdAt sequence');
+};
+
+// Static method to find a sender's message by its client-generated ID
+messageSchema.statics.findByClientMessageId = function(senderId, clientMessageId) {
+  return this.findOne({ sender: senderId, clientMessageId });
 };
 
 // Transform output for deleted messages
@@ -147,8 +591,16 @@ messageSchema.methods.toJSON = function() {
     delete message.fileUrl;
     delete message.fileName;
     delete message.fileSize;
+    delete message.mimeType;
+    message.reactions = [];
   }
+
+  message.reactions = summarizeReactions(message.reactions);
   
+  message.editCount = message.editHistory && !message.isDeleted ? message.editHistory.length : 0;
+
+  delete message.editHistory;
+  delete message.fileKey;
   delete message.__v;
   return message;
 };
@@ -0,0 +1,138 @@
+import mongoose from 'mongoose';
+
+export const REPORT_REASONS = [
+  'spam',
+  'harassment',
+  'hate_speech',
+  'violence',
+  'sexual_content',
+  'impersonation',
+  'self_harm',
+  'other'
+];
+
+export const REPORT_ACTIONS = ['delete_message', 'warn_user', 'deactivate_user'];
+
+const reportSchema = new mongoose.Schema({
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['message', 'user'],
+    required: true
+  },
+  // Reported user: the target of a user report, or the sender of a reported message
+  reportedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    default: null
+  },
+  // Message content at the time of the report, kept even if the message is later edited or deleted
+  messageSnapshot: {
+    content: String,
+    messageType: String,
+    fileName: String,
+    createdAt: Date
+  },
+  reason: {
+    type: String,
+    enum: REPORT_REASONS,
+    required: true
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Details cannot exceed 1000 characters'],
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['open', 'actioned', 'dismissed'],
+    default: 'open'
+  },
+  actions: [{
+    action: {
+      type: String,
+      enum: REPORT_ACTIONS,
+      required: true
+    },
+    admin: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      required: true
+    },
+    note: {
+      type: String,
+      default: ''
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  },
+  resolutionNote: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+reportSchema.index({ status: 1, createdAt: -1 });
+reportSchema.index({ reportedUser: 1, createdAt: -1 });
+reportSchema.index({ message: 1 });
+reportSchema.index({ reporter: 1, targetType: 1, reportedUser: 1, message: 1, status: 1 });
+
+// Static method to find an open report the reporter already filed against the same target
+reportSchema.statics.findOpenDuplicate = function({ reporter, targetType, reportedUser, message = null }) {
+  return this.findOne({
+    reporter,
+    targetType,
+    reportedUser,
+    message,
+    status: 'open'
+  });
+};
+
+// Method to record a moderation action taken from this report
+reportSchema.methods.addAction = function(action, adminId, note = '') {
+  this.actions.push({ action, admin: adminId, note });
+  this.status = 'actioned';
+  this.resolvedBy = adminId;
+  this.resolvedAt = new Date();
+  return this.save();
+};
+
+// Method to dismiss the report without action
+reportSchema.methods.dismiss = function(adminId, note = '') {
+  this.status = 'dismissed';
+  this.resolvedBy = adminId;
+  this.resolvedAt = new Date();
+  this.resolutionNote = note;
+  return this.save();
+};
+
+export default mongoose.model('Report', reportSchema);
@@ -0,0 +1,161 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import Device from './Device.js';
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Clean up expired sessions
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh tokens look like "<sessionId>.<secret>"; only the hash of the secret is stored
+const generateRefreshToken = (sessionId) => {
+  const secret = crypto.randomBytes(48).toString('base64url');
+  return { token: `${sessionId}.${secret}`, hash: hashToken(secret) };
+};
+
+// Virtual for checking if session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+// Static method to create a session and its first refresh token
+sessionSchema.statics.createForUser = async function(userId, { userAgent = null, ip = null } = {}) {
+  const session = new this({
+    user: userId,
+    userAgent,
+    ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  const { token, hash } = generateRefreshToken(session._id);
+  session.refreshTokenHash = hash;
+  await session.save();
+
+  return { session, refreshToken: token };
+};
+
+// Static method to split a refresh token into session ID and secret
+sessionSchema.statics.parseRefreshToken = function(refreshToken) {
+  if (typeof refreshToken !== 'string') return null;
+
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+
+  return { sessionId, secret };
+};
+
+// Static method to find an active session for a user
+sessionSchema.statics.findActive = function(sessionId, userId) {
+  return this.findOne({
+    _id: sessionId,
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Static method to list a user's active sessions
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+};
+
+// Static method to revoke all of a user's sessions, optionally keeping one
+sessionSchema.statics.revokeAllForUser = async function(userId, { except = null, reason = 'revoked' } = {}) {
+  const query = { user: userId, revokedAt: null };
+  if (except) {
+    query._id = { $ne: except };
+  }
+
+  const sessionIds = await this.find(query).distinct('_id');
+  await this.updateMany(
+    { _id: { $in: sessionIds } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  await Device.removeForSessions(sessionIds);
+
+  return sessionIds.map(id => id.toString());
+};
+
+// Method to check a refresh token secret against the stored hash
+sessionSchema.methods.matchesRefreshSecret = function(secret) {
+  const expected = Buffer.from(this.refreshTokenHash, 'hex');
+  const actual = Buffer.from(hashToken(secret), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Method to rotate the refresh token (returns the new token)
+sessionSchema.methods.rotate = async function({ userAgent, ip } = {}) {
+  const { token, hash } = generateRefreshToken(this._id);
+
+  this.refreshTokenHash = hash;
+  this.lastUsedAt = new Date();
+  if (userAgent) this.userAgent = userAgent;
+  if (ip) this.ip = ip;
+  await this.save();
+
+  return token;
+};
+
+// Method to revoke the session (its push devices stop receiving notifications)
+sessionSchema.methods.revoke = async function(reason = 'revoked') {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  await this.save();
+  await Device.removeForSessions([this._id]);
+  return this;
+};
+
+// Transform output (remove token hash)
+sessionSchema.methods.toJSON = function() {
+  const session = this.toObject();
+  delete session.refreshTokenHash;
+  delete session.__v;
+  return session;
+};
+
+export default mongoose.model('Session', sessionSchema);
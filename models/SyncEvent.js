@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+// How long events are kept for catch-up sync; older sync tokens require a full reload
+export const SYNC_RETENTION_SECONDS = 7 * 24 * 60 * 60;
+
+// A change to a conversation, kept so clients can replay what they missed
+// while disconnected. Events are ordered by _id.
+const syncEventSchema = new mongoose.Schema({
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  // Socket.io event name the change was relayed as (e.g. new_message)
+  type: {
+    type: String,
+    required: true
+  },
+  // Message events reference the message, which is loaded fresh on replay so
+  // edits and deletions since then are respected
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+  // Event payload as relayed, without the message
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Users who received the event: participants at the time, plus removed members
+  users: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+// Indexes for better performance
+syncEventSchema.index({ users: 1, _id: 1 });
+syncEventSchema.index({ conversation: 1, _id: 1 });
+syncEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: SYNC_RETENTION_SECONDS });
+
+export default mongoose.model('SyncEvent', syncEventSchema);
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+// Known settings and their defaults
+const DEFAULTS = {
+  requireAdminTwoFactor: false
+};
+
+const systemSettingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    enum: Object.keys(DEFAULTS),
+    required: true,
+    unique: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to read a setting, falling back to its default
+systemSettingSchema.statics.getValue = async function(key) {
+  const setting = await this.findOne({ key }).lean();
+  return setting ? setting.value : DEFAULTS[key];
+};
+
+// Static method to write a setting
+systemSettingSchema.statics.setValue = function(key, value, adminId = null) {
+  return this.findOneAndUpdate(
+    { key },
+    { $set: { value, updatedBy: adminId } },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+export default mongoose.model('SystemSetting', systemSettingSchema);
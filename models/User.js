@@ -1,6 +1,11 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 
+export const PRESENCE_STATUSES = ['online', 'away', 'busy', 'invisible'];
+
+// Who may start direct conversations with a user or add them to groups
+export const CONVERSATION_PRIVACY_OPTIONS = ['everyone', 'contacts'];
+
 const userSchema = new mongoose.Schema({
   username: {
     type: String,
@@ -29,18 +34,88 @@ const userSchema = new mongoose.Schema({
       return `https://ui-avatars.com/api/?name=${this.username}&background=22c55e&color=fff`;
     }
   },
+  // Whether other users see this user as online (false while invisible)
   isOnline: {
     type: Boolean,
     default: false
   },
+  // Status chosen by the user
+  status: {
+    type: String,
+    enum: PRESENCE_STATUSES,
+    default: 'online'
+  },
+  // Set when every connected client has been idle; shown to others as away
+  isIdle: {
+    type: Boolean,
+    default: false
+  },
+  customStatus: {
+    text: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Custom status cannot exceed 100 characters'],
+      default: null
+    },
+    emoji: {
+      type: String,
+      default: null
+    },
+    expiresAt: {
+      type: Date,
+      default: null
+    }
+  },
   lastSeen: {
     type: Date,
     default: Date.now
   },
-  socketId: {
-    type: String,
+  // Accounts created before email verification existed have no value and are treated as verified
+  isEmailVerified: {
+    type: Boolean
+  },
+  emailVerifiedAt: {
+    type: Date,
     default: null
   },
+  blockedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Accepted contacts; kept on both users
+  contacts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  privacy: {
+    allowConversationsFrom: {
+      type: String,
+      enum: CONVERSATION_PRIVACY_OPTIONS,
+      default: 'everyone'
+    }
+  },
+
+  // Moderator warnings issued from content reports
+  warnings: [{
+    reason: {
+      type: String,
+      required: true
+    },
+    report: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Report',
+      default: null
+    },
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      required: true
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
 
   isActive: {
     type: Boolean,
@@ -68,28 +143,136 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Check if the user still has to verify their email address
+userSchema.methods.needsEmailVerification = function() {
+  return this.isEmailVerified === false;
+};
+
+// Mark email as verified
+userSchema.methods.markEmailVerified = function() {
+  this.isEmailVerified = true;
+  this.emailVerifiedAt = new Date();
+  return this.save();
+};
+
 // Update last seen
 userSchema.methods.updateLastSeen = function() {
   this.lastSeen = new Date();
   return this.save();
 };
 
-// Set online status
-userSchema.methods.setOnlineStatus = function(isOnline, socketId = null) {
-  this.isOnline = isOnline;
-  this.socketId = socketId;
+// Set online status (invisible users stay offline to others)
+userSchema.methods.setOnlineStatus = function(isOnline) {
+  this.isOnline = isOnline && this.status !== 'invisible';
+  this.isIdle = false;
   if (!isOnline) {
     this.lastSeen = new Date();
   }
   return this.save();
 };
 
+// Update the chosen status and/or custom status. `connected` says whether the
+// user currently has a live connection, so leaving invisible shows them online.
+// Pass customStatus: null to clear it.
+userSchema.methods.updateStatus = function({ status, customStatus }, connected) {
+  if (status !== undefined) {
+    this.status = status;
+    this.isOnline = connected && status !== 'invisible';
+  }
+
+  if (customStatus === null) {
+    this.customStatus = { text: null, emoji: null, expiresAt: null };
+  } else if (customStatus !== undefined) {
+    this.customStatus = {
+      text: customStatus.text || null,
+      emoji: customStatus.emoji || null,
+      expiresAt: customStatus.expiresAt || null
+    };
+  }
+
+  return this.save();
+};
+
+// Get the status other users see: offline, online, away or busy
+userSchema.methods.getVisibleStatus = function() {
+  if (!this.isOnline) return 'offline';
+  if (this.isIdle && (this.status || 'online') === 'online') return 'away';
+  return this.status || 'online';
+};
+
+// Get the custom status, or null if unset or expired
+userSchema.methods.getActiveCustomStatus = function() {
+  const { text, emoji, expiresAt } = this.customStatus || {};
+  if (!text && !emoji) return null;
+  if (expiresAt && expiresAt <= new Date()) return null;
+  return { text, emoji, expiresAt };
+};
+
+// Get the presence payload shared with other users
+userSchema.methods.getPresence = function() {
+  return {
+    userId: this._id,
+    status: this.getVisibleStatus(),
+    customStatus: this.getActiveCustomStatus(),
+    lastSeen: this.lastSeen
+  };
+};
+
+// Check if this user has blocked another user
+userSchema.methods.hasBlocked = function(userId) {
+  return this.blockedUsers.some(blockedId => blockedId.equals(userId));
+};
+
+// Block another user
+userSchema.methods.blockUser = function(userId) {
+  if (!this.hasBlocked(userId)) {
+    this.blockedUsers.push(userId);
+    return this.save();
+  }
+  return Promise.resolve(this);
+};
+
+// Unblock another user
+userSchema.methods.unblockUser = function(userId) {
+  this.blockedUsers = this.blockedUsers.filter(blockedId => !blockedId.equals(userId));
+  return this.save();
+};
+
+// Check if another user is one of this user's contacts
+userSchema.methods.isContact = function(userId) {
+  return (this.contacts || []).some(contactId => contactId.equals(userId));
+};
+
+// Check if another user may start a direct conversation with this user or add them to a group
+userSchema.methods.acceptsConversationsFrom = function(userId) {
+  if (this.privacy?.allowConversationsFrom !== 'contacts') return true;
+  return this.isContact(userId);
+};
+
+// Record a moderator warning
+userSchema.methods.addWarning = function(reason, adminId, reportId = null) {
+  this.warnings.push({ reason, issuedBy: adminId, report: reportId });
+  return this.save();
+};
+
 // Transform output (remove password and sensitive data)
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
-  delete user.socketId;
+  delete user.blockedUsers;
+  delete user.contacts;
+  delete user.privacy;
+  delete user.warnings;
+  delete user.isIdle;
   delete user.__v;
+
+  // Others see the visible status; the chosen one (e.g. invisible) stays private
+  if (this.isSelected('isOnline')) {
+    user.status = this.getVisibleStatus();
+  }
+  if (this.isSelected('customStatus')) {
+    user.customStatus = this.getActiveCustomStatus();
+  }
   return user;
 };
 
@@ -105,11 +288,46 @@ userSchema.statics.findByEmailOrUsername = function(identifier) {
 
 
 
+// Static method to check if either user has blocked the other
+userSchema.statics.isBlockedBetween = async function(userId1, userId2) {
+  const block = await this.exists({
+    $or: [
+      { _id: userId1, blockedUsers: userId2 },
+      { _id: userId2, blockedUsers: userId1 }
+    ]
+  });
+  return !!block;
+};
+
+// Static method to get IDs of users hidden from a user (blocked by or blocking them)
+userSchema.statics.getHiddenUserIds = async function(userId) {
+  const [user, blockedBy] = await Promise.all([
+    this.findById(userId).select('blockedUsers'),
+    this.find({ blockedUsers: userId }).distinct('_id')
+  ]);
+  return [...(user?.blockedUsers || []), ...blockedBy];
+};
+
+// Static method to make two users contacts of each other
+userSchema.statics.addContact = function(userId1, userId2) {
+  return Promise.all([
+    this.updateOne({ _id: userId1 }, { $addToSet: { contacts: userId2 } }),
+    this.updateOne({ _id: userId2 }, { $addToSet: { contacts: userId1 } })
+  ]);
+};
+
+// Static method to remove two users from each other's contacts
+userSchema.statics.removeContact = function(userId1, userId2) {
+  return Promise.all([
+    this.updateOne({ _id: userId1 }, { $pull: { contacts: userId2 } }),
+    this.updateOne({ _id: userId2 }, { $pull: { contacts: userId1 } })
+  ]);
+};
+
 // Deactivate user (soft delete)
 userSchema.methods.deactivate = function() {
   this.isActive = false;
   this.isOnline = false;
-  this.socketId = null;
   return this.save();
 };
 
@@ -9,9 +9,18 @@ import {
   getAllAdmins,
   getAdminDetails,
   deactivateAdmin,
-  reactivateAdmin
+  reactivateAdmin,
+  getMessageHistory
 } from '../controllers/adminController.js';
+import { getAuditLogs } from '../controllers/auditController.js';
+import {
+  getReports,
+  getReportDetails,
+  takeReportAction,
+  dismissReport
+} from '../controllers/reportController.js';
 import { authenticateAdmin, requirePermission, requireSuperAdmin } from '../middleware/adminAuth.js';
+import { validateReportAction, validateReportDismissal } from '../middleware/validation.js';
 
 const router = express.Router();
 
@@ -34,4 +43,16 @@ router.get('/admins/:adminId', requirePermission('admin_management'), getAdminDe
 router.patch('/admins/:adminId/deactivate', requirePermission('admin_management'), deactivateAdmin);
 router.patch('/admins/:adminId/reactivate', requirePermission('admin_management'), reactivateAdmin);
 
+// Message routes
+router.get('/messages/:messageId/history', requirePermission('message_management'), getMessageHistory);
+
+// Moderation queue routes
+router.get('/reports', requirePermission('message_management'), getReports);
+router.get('/reports/:reportId', requirePermission('message_management'), getReportDetails);
+router.post('/reports/:reportId/actions', requirePermission('message_management'), validateReportAction, takeReportAction);
+router.post('/reports/:reportId/dismiss', requirePermission('message_management'), validateReportDismissal, dismissReport);
+
+// Audit log routes
+router.get('/audit', requirePermission('audit_view'), getAuditLogs);
+
 export default router;
@@ -1,7 +1,23 @@
 import express from 'express';
 import Admin from '../models/Admin.js';
-import { generateAdminToken, authenticateAdmin } from '../middleware/adminAuth.js';
-import { validateAdminLogin, validateAdminRegister } from '../middleware/validation.js';
+import SystemSetting from '../models/SystemSetting.js';
+import {
+  generateAdminToken,
+  authenticateAdmin,
+  authenticateAdminEnrollment,
+  requireSuperAdmin,
+  getTwoFactorChallenge,
+  completeTwoFactorLogin
+} from '../middleware/adminAuth.js';
+import {
+  validateAdminLogin,
+  validateAdminRegister,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateTwoFactorDisable,
+  validateTwoFactorPolicy
+} from '../middleware/validation.js';
+import { recordAudit } from '../services/audit.js';
 
 const router = express.Router();
 
@@ -69,6 +85,19 @@ router.post('/login', validateAdminLogin, async (req, res) => {
       });
     }
 
+    // Admins with 2FA (or required to set it up) get a second-step token instead
+    const challenge = await getTwoFactorChallenge(admin);
+    if (challenge) {
+      console.log('🔐 PASSWORD MATCH - two-factor step required');
+      return res.json({
+        success: true,
+        message: challenge.requiresTwoFactor
+          ? 'Two-factor authentication required'
+          : 'Two-factor authentication must be set up before logging in',
+        data: challenge
+      });
+    }
+
     // Reset login attempts on successful login
     console.log('✅ PASSWORD MATCH - login successful!');
     await admin.resetLoginAttempts();
@@ -95,6 +124,40 @@ router.post('/login', validateAdminLogin, async (req, res) => {
   }
 });
 
+// @route   POST /api/admin/auth/login/2fa
+// @desc    Complete admin login with a TOTP or recovery code
+// @access  Public (requires twoFactorToken from login)
+router.post('/login/2fa', validateTwoFactorLogin, async (req, res) => {
+  try {
+    const result = await completeTwoFactorLogin(req.body.twoFactorToken, req.body.code);
+
+    if (!result.admin) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    const token = generateAdminToken(result.admin._id);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        admin: result.admin.toJSON(),
+        token,
+        usedRecoveryCode: result.method === 'recovery_code'
+      }
+    });
+  } catch (error) {
+    console.error('Admin 2FA login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+});
+
 // @route   POST /api/admin/auth/register
 // @desc    Register new admin (only super_admin can create new admins)
 // @access  Private (Super Admin only)
@@ -139,6 +202,12 @@ router.post('/register', authenticateAdmin, validateAdminRegister, async (req, r
     });
 
     await admin.save();
+    await recordAudit(req, {
+      action: 'admin.create',
+      targetType: 'admin',
+      targetId: admin._id,
+      after: admin
+    });
 
     res.status(201).json({
       success: true,
@@ -269,6 +338,11 @@ router.put('/change-password', authenticateAdmin, async (req, res) => {
     // Update password
     req.admin.password = newPassword;
     await req.admin.save();
+    await recordAudit(req, {
+      action: 'admin.change_password',
+      targetType: 'admin',
+      targetId: req.admin._id
+    });
 
     res.json({
       success: true,
@@ -283,4 +357,238 @@ router.put('/change-password', authenticateAdmin, async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/auth/2fa
+// @desc    Get two-factor authentication status
+// @access  Private
+router.get('/2fa', authenticateAdmin, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        enabled: req.admin.twoFactorEnabled,
+        enabledAt: req.admin.twoFactorEnabledAt,
+        recoveryCodesRemaining: req.admin.twoFactorEnabled ? req.admin.twoFactorRecoveryCodes.length : 0,
+        required: await SystemSetting.getValue('requireAdminTwoFactor')
+      }
+    });
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error getting two-factor status'
+    });
+  }
+});
+
+// @route   POST /api/admin/auth/2fa/setup
+// @desc    Start 2FA enrollment: returns a new secret and otpauth URI
+// @access  Private (admin token, or setup token from login when 2FA is required)
+router.post('/2fa/setup', authenticateAdminEnrollment, async (req, res) => {
+  try {
+    if (req.admin.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const { secret, otpauthUri } = await req.admin.setupTwoFactor();
+
+    res.json({
+      success: true,
+      message: 'Scan the code with your authenticator app, then confirm with a code to enable 2FA',
+      data: {
+        secret,
+        otpauthUri
+      }
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error setting up two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /api/admin/auth/2fa/enable
+// @desc    Confirm enrollment with a TOTP code and receive recovery codes
+// @access  Private (admin token, or setup token from login when 2FA is required)
+router.post('/2fa/enable', authenticateAdminEnrollment, validateTwoFactorCode, async (req, res) => {
+  try {
+    if (req.admin.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!req.admin.twoFactorSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup before enabling it'
+      });
+    }
+
+    const recoveryCodes = await req.admin.enableTwoFactor(req.body.code);
+
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'admin.2fa_enable',
+      targetType: 'admin',
+      targetId: req.admin._id
+    });
+
+    const data = { recoveryCodes };
+
+    // Enrolling during login completes the login
+    if (req.isTwoFactorEnrollment) {
+      await req.admin.resetLoginAttempts();
+      data.admin = req.admin.toJSON();
+      data.token = generateAdminToken(req.admin._id);
+    }
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data
+    });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error enabling two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /api/admin/auth/2fa/disable
+// @desc    Disable 2FA (requires password and a current code)
+// @access  Private
+router.post('/2fa/disable', authenticateAdmin, validateTwoFactorDisable, async (req, res) => {
+  try {
+    if (!req.admin.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (await SystemSetting.getValue('requireAdminTwoFactor')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for all admins and cannot be disabled'
+      });
+    }
+
+    const isMatch = await req.admin.comparePassword(req.body.password);
+    if (!isMatch || !(await req.admin.verifyTwoFactor(req.body.code))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid password or authentication code'
+      });
+    }
+
+    await req.admin.disableTwoFactor();
+    await recordAudit(req, {
+      action: 'admin.2fa_disable',
+      targetType: 'admin',
+      targetId: req.admin._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error disabling two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /api/admin/auth/2fa/recovery-codes
+// @desc    Replace recovery codes (requires a current code)
+// @access  Private
+router.post('/2fa/recovery-codes', authenticateAdmin, validateTwoFactorCode, async (req, res) => {
+  try {
+    if (!req.admin.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await req.admin.verifyTwoFactor(req.body.code))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = await req.admin.regenerateRecoveryCodes();
+    await recordAudit(req, {
+      action: 'admin.2fa_recovery_codes',
+      targetType: 'admin',
+      targetId: req.admin._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Recovery codes regenerated. Previous codes no longer work.',
+      data: {
+        recoveryCodes
+      }
+    });
+  } catch (error) {
+    console.error('2FA recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error regenerating recovery codes'
+    });
+  }
+});
+
+// @route   PUT /api/admin/auth/2fa/policy
+// @desc    Require (or stop requiring) 2FA for every admin
+// @access  Private (Super Admin only)
+router.put('/2fa/policy', authenticateAdmin, requireSuperAdmin, validateTwoFactorPolicy, async (req, res) => {
+  try {
+    const required = req.body.required === true || req.body.required === 'true';
+    const before = await SystemSetting.getValue('requireAdminTwoFactor');
+
+    await SystemSetting.setValue('requireAdminTwoFactor', required, req.admin._id);
+    await recordAudit(req, {
+      action: 'system.2fa_policy',
+      targetType: 'system',
+      before: { requireAdminTwoFactor: before },
+      after: { requireAdminTwoFactor: required }
+    });
+
+    res.json({
+      success: true,
+      message: required
+        ? 'Two-factor authentication is now required for all admins'
+        : 'Two-factor authentication is now optional',
+      data: {
+        required
+      }
+    });
+  } catch (error) {
+    console.error('2FA policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating two-factor policy'
+    });
+  }
+});
+
 export default router;
@@ -3,6 +3,7 @@ import Conversation from '../models/Conversation.js';
 import Message from '../models/Message.js';
 import User from '../models/User.js';
 import { authenticateAdmin } from '../middleware/adminAuth.js';
+import { recordAudit } from '../services/audit.js';
 
 const router = express.Router();
 
@@ -199,6 +200,13 @@ router.delete('/:id', authenticateAdmin, async (req, res) => {
 
     // Delete the conversation
     await Conversation.findByIdAndDelete(req.params.id);
+    await recordAudit(req, {
+      action: 'conversation.delete',
+      targetType: 'conversation',
+      targetId: conversation._id,
+      before: conversation,
+      metadata: { deletedMessages: deletedMessages.deletedCount }
+    });
 
     res.json({
       success: true,
@@ -242,6 +250,15 @@ router.delete('/bulk/all', authenticateAdmin, async (req, res) => {
         $set: { updatedAt: new Date() }
       }
     );
+    await recordAudit(req, {
+      action: 'conversation.bulk_delete_all',
+      targetType: 'system',
+      metadata: {
+        deletedDirectConversations: directConversations.length,
+        clearedGroupChats: groupConversations.length,
+        deletedMessages: totalMessageCount
+      }
+    });
 
     res.json({
       success: true,
@@ -275,6 +292,14 @@ router.delete('/bulk/nuclear', authenticateAdmin, async (req, res) => {
 
     // Delete all conversations (including groups)
     await Conversation.deleteMany({});
+    await recordAudit(req, {
+      action: 'conversation.bulk_delete_nuclear',
+      targetType: 'system',
+      metadata: {
+        deletedConversations: conversationCount,
+        deletedMessages: messageCount
+      }
+    });
 
     res.json({
       success: true,
@@ -324,6 +349,15 @@ router.delete('/bulk/type/:type', authenticateAdmin, async (req, res) => {
 
     // Delete conversations
     await Conversation.deleteMany({ type });
+    await recordAudit(req, {
+      action: 'conversation.bulk_delete_type',
+      targetType: 'system',
+      metadata: {
+        type,
+        deletedConversations: conversationCount,
+        deletedMessages: messageCount
+      }
+    });
 
     res.json({
       success: true,
@@ -364,6 +398,12 @@ router.delete('/:id/messages', authenticateAdmin, async (req, res) => {
     conversation.lastMessage = null;
     conversation.updatedAt = new Date();
     await conversation.save();
+    await recordAudit(req, {
+      action: 'conversation.clear_messages',
+      targetType: 'conversation',
+      targetId: conversation._id,
+      metadata: { deletedMessages: deletedMessages.deletedCount }
+    });
 
     res.json({
       success: true,
@@ -1,6 +1,9 @@
 import express from 'express';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
 import { authenticateAdmin } from '../middleware/adminAuth.js';
+import { recordAudit, auditSnapshot } from '../services/audit.js';
+import { disconnectSessions } from '../socket/socketHandlers.js';
 
 const router = express.Router();
 
@@ -148,6 +151,12 @@ router.post('/', authenticateAdmin, async (req, res) => {
     });
 
     await newUser.save();
+    await recordAudit(req, {
+      action: 'user.create',
+      targetType: 'user',
+      targetId: newUser._id,
+      after: newUser
+    });
 
     res.status(201).json({
       success: true,
@@ -236,6 +245,8 @@ router.put('/:id', authenticateAdmin, async (req, res) => {
       }
     }
 
+    const before = auditSnapshot(user);
+
     // Update user fields
     if (username) user.username = username;
     if (email) user.email = email;
@@ -244,6 +255,13 @@ router.put('/:id', authenticateAdmin, async (req, res) => {
     if (isActive !== undefined) user.isActive = isActive;
 
     await user.save();
+    await recordAudit(req, {
+      action: 'user.update',
+      targetType: 'user',
+      targetId: user._id,
+      before,
+      after: user
+    });
 
     res.json({
       success: true,
@@ -274,8 +292,19 @@ router.delete('/:id', authenticateAdmin, async (req, res) => {
       });
     }
 
+    // Sign the user out everywhere
+    const sessionIds = await Session.revokeAllForUser(user._id, { reason: 'deleted' });
+    disconnectSessions(req.app.get('io'), sessionIds);
+
     await User.findByIdAndDelete(req.params.id);
 
+    await recordAudit(req, {
+      action: 'user.delete',
+      targetType: 'user',
+      targetId: user._id,
+      before: user
+    });
+
     res.json({
       success: true,
       message: 'User deleted successfully'
@@ -302,9 +331,24 @@ router.post('/:id/toggle-status', authenticateAdmin, async (req, res) => {
       });
     }
 
+    const before = auditSnapshot(user);
     user.isActive = !user.isActive;
     await user.save();
 
+    // Sign deactivated users out everywhere
+    if (!user.isActive) {
+      const sessionIds = await Session.revokeAllForUser(user._id, { reason: 'deactivated' });
+      disconnectSessions(req.app.get('io'), sessionIds);
+    }
+
+    await recordAudit(req, {
+      action: user.isActive ? 'user.activate' : 'user.deactivate',
+      targetType: 'user',
+      targetId: user._id,
+      before,
+      after: user
+    });
+
     res.json({
       success: true,
       message: `User ${user.isActive ? 'activated' : 'deactivated'} successfully`,
@@ -1,13 +1,35 @@
 import express from 'express';
 import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
 import User from '../models/User.js';
 import Admin from '../models/Admin.js';
-import { generateToken, authenticateToken } from '../middleware/auth.js';
-import { generateAdminToken } from '../middleware/adminAuth.js';
-import { validateRegister, validateLogin } from '../middleware/validation.js';
+import Session from '../models/Session.js';
+import AuthToken from '../models/AuthToken.js';
+import { generateToken, createSessionTokens, authenticateToken, ACCESS_TOKEN_TTL } from '../middleware/auth.js';
+import { disconnectSessions } from '../socket/socketHandlers.js';
+import { sendMail } from '../services/mailer/index.js';
+import { verificationEmail, passwordResetEmail } from '../services/mailer/templates.js';
+import { generateAdminToken, getTwoFactorChallenge, completeTwoFactorLogin } from '../middleware/adminAuth.js';
+import {
+  validateRegister,
+  validateLogin,
+  validateEmailRequest,
+  validateEmailVerification,
+  validatePasswordReset,
+  validateTwoFactorLogin
+} from '../middleware/validation.js';
 
 const router = express.Router();
 
+// New accounts must verify their email before logging in unless disabled
+const requireEmailVerification = () => process.env.REQUIRE_EMAIL_VERIFICATION !== 'false';
+
+// Issue a verification token and email it to the user
+const sendVerificationEmail = async (user) => {
+  const token = await AuthToken.issue(user._id, 'email_verification');
+  await sendMail({ to: user.email, ...verificationEmail(user, token) });
+};
+
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
@@ -28,20 +50,40 @@ router.post('/register', validateRegister, async (req, res) => {
     const user = new User({
       username,
       email,
-      password
+      password,
+      isEmailVerified: false
     });
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
+    if (requireEmailVerification()) {
+      return res.status(201).json({
+        success: true,
+        message: 'User registered successfully. Please check your email to verify your account.',
+        data: {
+          user: user.toJSON(),
+          requiresVerification: true
+        }
+      });
+    }
+
+    // Start a session
+    const { token, refreshToken, expiresIn } = await createSessionTokens(user._id, req);
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       data: {
         user: user.toJSON(),
-        token
+        token,
+        refreshToken,
+        expiresIn
       }
     });
   } catch (error) {
@@ -101,6 +143,22 @@ router.post('/login', validateLogin, async (req, res) => {
       console.log('🔐 Admin password match:', isAdminMatch);
 
       if (isAdminMatch) {
+        // Admins with 2FA (or required to set it up) get a second-step token instead
+        const challenge = await getTwoFactorChallenge(admin);
+        if (challenge) {
+          console.log('🔐 Admin password match - two-factor step required');
+          return res.json({
+            success: true,
+            message: challenge.requiresTwoFactor
+              ? 'Two-factor authentication required'
+              : 'Two-factor authentication must be set up before logging in',
+            data: {
+              ...challenge,
+              userType: 'admin'
+            }
+          });
+        }
+
         console.log('✅ ADMIN LOGIN SUCCESSFUL');
         // Reset login attempts on successful login
         await admin.resetLoginAttempts();
@@ -161,12 +219,21 @@ router.post('/login', validateLogin, async (req, res) => {
       });
     }
 
+    if (requireEmailVerification() && user.needsEmailVerification()) {
+      console.log('❌ User email not verified');
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email address before logging in.',
+        data: {
+          requiresVerification: true
+        }
+      });
+    }
+
     console.log('✅ USER LOGIN SUCCESSFUL');
-    // Update online status for regular user
-    await user.setOnlineStatus(true);
 
-    // Generate regular user token
-    const token = generateToken(user._id);
+    // Start a session for this device
+    const { token, refreshToken, expiresIn } = await createSessionTokens(user._id, req);
 
     res.json({
       success: true,
@@ -177,6 +244,8 @@ router.post('/login', validateLogin, async (req, res) => {
           userType: 'user'
         },
         token,
+        refreshToken,
+        expiresIn,
         userType: 'user'
       }
     });
@@ -189,13 +258,200 @@ router.post('/login', validateLogin, async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/login/2fa
+// @desc    Complete an admin login with a TOTP or recovery code
+// @access  Public (requires twoFactorToken from login)
+router.post('/login/2fa', validateTwoFactorLogin, async (req, res) => {
+  try {
+    const result = await completeTwoFactorLogin(req.body.twoFactorToken, req.body.code);
+
+    if (!result.admin) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    const token = generateAdminToken(result.admin._id);
+
+    res.json({
+      success: true,
+      message: 'Admin login successful',
+      data: {
+        user: {
+          ...result.admin.toJSON(),
+          userType: 'admin'
+        },
+        token,
+        userType: 'admin',
+        usedRecoveryCode: result.method === 'recovery_code'
+      }
+    });
+  } catch (error) {
+    console.error('2FA login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Verify email address with a token and start a session
+// @access  Public
+router.post('/verify-email', validateEmailVerification, async (req, res) => {
+  try {
+    const userId = await AuthToken.consume(req.body.token, 'email_verification');
+    const user = userId && await User.findById(userId);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(403).json({
+        success: false,
+        message: 'Account has been deactivated. Please contact administrator.'
+      });
+    }
+
+    await user.markEmailVerified();
+
+    const { token, refreshToken, expiresIn } = await createSessionTokens(user._id, req);
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      data: {
+        user: user.toJSON(),
+        token,
+        refreshToken,
+        expiresIn
+      }
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error verifying email'
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new verification email
+// @access  Public
+router.post('/resend-verification', validateEmailRequest, async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.body.email });
+
+    // Mail failures are only logged; an error response would reveal the account exists
+    if (user && user.isActive && user.needsEmailVerification()) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (mailError) {
+        console.error('Verification email error:', mailError);
+      }
+    }
+
+    // Same response either way so accounts can't be enumerated
+    res.json({
+      success: true,
+      message: 'If that account needs verification, a new email has been sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error sending verification email'
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', validateEmailRequest, async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.body.email });
+
+    // Mail failures are only logged; an error response would reveal the account exists
+    if (user && user.isActive) {
+      try {
+        const token = await AuthToken.issue(user._id, 'password_reset');
+        await sendMail({ to: user.email, ...passwordResetEmail(user, token) });
+      } catch (mailError) {
+        console.error('Password reset email error:', mailError);
+      }
+    }
+
+    // Same response either way so accounts can't be enumerated
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error requesting password reset'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with a reset token (signs out every session)
+// @access  Public
+router.post('/reset-password', validatePasswordReset, async (req, res) => {
+  try {
+    const userId = await AuthToken.consume(req.body.token, 'password_reset');
+    const user = userId && await User.findById(userId);
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    user.password = req.body.password;
+    // Receiving the reset email proves ownership of the address
+    if (user.needsEmailVerification()) {
+      user.isEmailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    // Sign out everywhere
+    const revokedIds = await Session.revokeAllForUser(user._id, { reason: 'password_reset' });
+    disconnectSessions(req.app.get('io'), revokedIds);
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error resetting password'
+    });
+  }
+});
+
 // @route   POST /api/auth/logout
-// @desc    Logout user
+// @desc    Logout user (revokes the current session)
 // @access  Private
 router.post('/logout', authenticateToken, async (req, res) => {
   try {
-    // Update user's online status
-    await req.user.setOnlineStatus(false);
+    const session = await Session.findById(req.sessionId);
+    await session.revoke('logout');
+    // Online status follows the user's socket connections: closing this
+    // session's sockets marks them offline once no other device is connected
+    disconnectSessions(req.app.get('io'), [req.sessionId]);
 
     res.json({
       success: true,
@@ -256,6 +512,15 @@ router.get('/me', async (req, res) => {
     // Check if it's a regular user token
     if (decoded.userId) {
       console.log('👤 /me endpoint: User token detected');
+      const session = decoded.sessionId && await Session.findActive(decoded.sessionId, decoded.userId);
+
+      if (!session) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been revoked or expired'
+        });
+      }
+
       const user = await User.findById(decoded.userId).select('-password');
 
       if (!user || !user.isActive) {
@@ -271,6 +536,8 @@ router.get('/me', async (req, res) => {
         data: {
           user: {
             ...user.toJSON(),
+            status: user.status, // your chosen status, e.g. invisible
+            privacy: user.privacy,
             userType: 'user'
           }
         }
@@ -308,17 +575,62 @@ router.get('/me', async (req, res) => {
 });
 
 // @route   POST /api/auth/refresh
-// @desc    Refresh token
-// @access  Private
-router.post('/refresh', authenticateToken, async (req, res) => {
+// @desc    Exchange a refresh token for a new access token (rotates the refresh token)
+// @access  Public (requires refresh token)
+router.post('/refresh', async (req, res) => {
   try {
-    const token = generateToken(req.user._id);
+    const parsed = Session.parseRefreshToken(req.body.refreshToken);
+
+    if (!parsed) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+
+    const session = await Session.findById(parsed.sessionId);
+
+    if (!session || !session.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked or expired'
+      });
+    }
+
+    // A rotated-out token being replayed means it was stolen: kill the session
+    if (!session.matchesRefreshSecret(parsed.secret)) {
+      await session.revoke('refresh_token_reuse');
+      disconnectSessions(req.app.get('io'), [session._id.toString()]);
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+
+    const user = await User.findById(session.user);
+
+    if (!user || !user.isActive) {
+      await session.revoke('user_inactive');
+      return res.status(401).json({
+        success: false,
+        message: 'Account is not active'
+      });
+    }
+
+    const refreshToken = await session.rotate({
+      userAgent: req.get('user-agent'),
+      ip: req.ip
+    });
+    const token = generateToken(user._id, session._id);
 
     res.json({
       success: true,
       message: 'Token refreshed successfully',
       data: {
-        token
+        token,
+        refreshToken,
+        expiresIn: ACCESS_TOKEN_TTL
       }
     });
   } catch (error) {
@@ -330,4 +642,95 @@ router.post('/refresh', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   GET /api/auth/sessions
+// @desc    List the user's active sessions (devices)
+// @access  Private
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await Session.findActiveForUser(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          ...session.toJSON(),
+          current: session._id.toString() === req.sessionId
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error getting sessions'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one session
+// @access  Private
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid session ID'
+      });
+    }
+
+    const session = await Session.findActive(id, req.user._id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await session.revoke('revoked_by_user');
+    disconnectSessions(req.app.get('io'), [id]);
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error revoking session'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Revoke all sessions except the current one
+// @access  Private
+router.delete('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const revokedIds = await Session.revokeAllForUser(req.user._id, {
+      except: req.sessionId,
+      reason: 'revoked_by_user'
+    });
+    disconnectSessions(req.app.get('io'), revokedIds);
+
+    res.json({
+      success: true,
+      message: `${revokedIds.length} other session(s) revoked`,
+      data: {
+        revokedCount: revokedIds.length
+      }
+    });
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error revoking sessions'
+    });
+  }
+});
+
 export default router;
@@ -0,0 +1,361 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Conversation from '../models/Conversation.js';
+import ContactRequest from '../models/ContactRequest.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { validateContactRequest } from '../middleware/validation.js';
+import { EVENTS, publish } from '../services/events.js';
+
+const router = express.Router();
+
+const CONTACT_FIELDS = 'username email avatar isOnline lastSeen status isIdle customStatus';
+const REQUEST_USER_FIELDS = 'username email avatar';
+
+// Accept a pending request and make both users contacts
+const acceptRequest = async (request, recipient) => {
+  await request.resolve('accepted');
+  await User.addContact(request.requester, recipient._id);
+
+  publish(EVENTS.CONTACT_REQUEST_ACCEPTED, {
+    requestId: request._id,
+    requesterId: request.requester,
+    recipient: {
+      _id: recipient._id,
+      username: recipient.username,
+      avatar: recipient.avatar
+    }
+  });
+
+  return User.findById(request.requester).select(CONTACT_FIELDS);
+};
+
+// @route   GET /api/contacts
+// @desc    Get the current user's contacts
+// @access  Private
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .populate('contacts', CONTACT_FIELDS);
+
+    res.json({
+      success: true,
+      data: {
+        contacts: user.contacts
+      }
+    });
+  } catch (error) {
+    console.error('Get contacts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error getting contacts'
+    });
+  }
+});
+
+// @route   GET /api/contacts/requests
+// @desc    Get pending contact requests (?direction=incoming|outgoing, default incoming)
+// @access  Private
+router.get('/requests', authenticateToken, async (req, res) => {
+  try {
+    const outgoing = req.query.direction === 'outgoing';
+
+    const requests = await ContactRequest.find({
+      [outgoing ? 'requester' : 'recipient']: req.user._id,
+      status: 'pending'
+    })
+    .populate(outgoing ? 'recipient' : 'requester', REQUEST_USER_FIELDS)
+    .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        requests
+      }
+    });
+  } catch (error) {
+    console.error('Get contact requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error getting contact requests'
+    });
+  }
+});
+
+// @route   POST /api/contacts/requests
+// @desc    Send a contact request (accepts theirs if they already sent you one)
+// @access  Private
+router.post('/requests', authenticateToken, validateContactRequest, async (req, res) => {
+  try {
+    const { userId } = req.body;
+
+    if (req.user._id.equals(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot send a contact request to yourself'
+      });
+    }
+
+    const recipient = await User.findOne({ _id: userId, isActive: true });
+    if (!recipient) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (await User.isBlockedBetween(req.user._id, userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot send a contact request to this user'
+      });
+    }
+
+    if (req.user.isContact(userId)) {
+      return res.status(409).json({
+        success: false,
+        message: 'User is already in your contacts'
+      });
+    }
+
+    const pendingRequest = await ContactRequest.findPendingBetween(req.user._id, userId);
+
+    if (pendingRequest && pendingRequest.requester.equals(req.user._id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already sent a contact request to this user'
+      });
+    }
+
+    // They already asked us, so sending one back accepts theirs
+    if (pendingRequest) {
+      const contact = await acceptRequest(pendingRequest, req.user);
+
+      return res.json({
+        success: true,
+        message: 'Contact request accepted',
+        data: {
+          request: pendingRequest,
+          contact
+        }
+      });
+    }
+
+    const request = await ContactRequest.create({
+      requester: req.user._id,
+      recipient: recipient._id
+    });
+    await request.populate('requester', REQUEST_USER_FIELDS);
+
+    publish(EVENTS.CONTACT_REQUEST_SENT, {
+      recipientId: recipient._id,
+      request: request.toJSON()
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Contact request sent',
+      data: {
+        request
+      }
+    });
+  } catch (error) {
+    console.error('Send contact request error:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already sent a contact request to this user'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error sending contact request'
+    });
+  }
+});
+
+// @route   POST /api/contacts/requests/:id/accept
+// @desc    Accept an incoming contact request
+// @access  Private (recipient only)
+router.post('/requests/:id/accept', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid request ID'
+      });
+    }
+
+    const request = await ContactRequest.findOne({
+      _id: id,
+      recipient: req.user._id,
+      status: 'pending'
+    });
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact request not found'
+      });
+    }
+
+    const contact = await acceptRequest(request, req.user);
+
+    res.json({
+      success: true,
+      message: 'Contact request accepted',
+      data: {
+        request,
+        contact
+      }
+    });
+  } catch (error) {
+    console.error('Accept contact request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error accepting contact request'
+    });
+  }
+});
+
+// @route   POST /api/contacts/requests/:id/decline
+// @desc    Decline an incoming contact request (the requester is not notified)
+// @access  Private (recipient only)
+router.post('/requests/:id/decline', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid request ID'
+      });
+    }
+
+    const request = await ContactRequest.findOne({
+      _id: id,
+      recipient: req.user._id,
+      status: 'pending'
+    });
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact request not found'
+      });
+    }
+
+    await request.resolve('declined');
+
+    res.json({
+      success: true,
+      message: 'Contact request declined'
+    });
+  } catch (error) {
+    console.error('Decline contact request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error declining contact request'
+    });
+  }
+});
+
+// @route   DELETE /api/contacts/requests/:id
+// @desc    Cancel an outgoing contact request
+// @access  Private (requester only)
+router.delete('/requests/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid request ID'
+      });
+    }
+
+    const request = await ContactRequest.findOne({
+      _id: id,
+      requester: req.user._id,
+      status: 'pending'
+    });
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact request not found'
+      });
+    }
+
+    await request.resolve('cancelled');
+
+    publish(EVENTS.CONTACT_REQUEST_CANCELLED, {
+      requestId: request._id,
+      requesterId: request.requester,
+      recipientId: request.recipient
+    });
+
+    res.json({
+      success: true,
+      message: 'Contact request cancelled'
+    });
+  } catch (error) {
+    console.error('Cancel contact request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error cancelling contact request'
+    });
+  }
+});
+
+// @route   DELETE /api/contacts/:userId
+// @desc    Remove a contact (for both users)
+// @access  Private
+router.delete('/:userId', authenticateToken, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    if (!req.user.isContact(userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not in your contacts'
+      });
+    }
+
+    await User.removeContact(req.user._id, userId);
+
+    const sharesConversation = await Conversation.exists({
+      participants: { $all: [req.user._id, userId] }
+    });
+
+    publish(EVENTS.CONTACT_REMOVED, {
+      userId: req.user._id,
+      contactId: userId,
+      sharesConversation: !!sharesConversation
+    });
+
+    res.json({
+      success: true,
+      message: 'Contact removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove contact error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error removing contact'
+    });
+  }
+});
+
+export default router;
@@ -4,28 +4,30 @@ import Conversation from '../models/Conversation.js';
 import Message from '../models/Message.js';
 import User from '../models/User.js';
 import { authenticateToken } from '../middleware/auth.js';
-import { validateConversation } from '../middleware/validation.js';
+import {
+  validateConversation,
+  validateConversationSettings,
+  validateMarkRead
+} from '../middleware/validation.js';
+import { EVENTS, publish } from '../services/events.js';
 
 const router = express.Router();
 
 // @route   GET /api/conversations
-// @desc    Get user's conversations
+// @desc    Get user's conversations (pinned first; ?archived=true for archived ones)
 // @access  Private
 router.get('/', authenticateToken, async (req, res) => {
   try {
-    const conversations = await Conversation.findUserConversations(req.user._id);
-
-    // Get unread counts for each conversation
-    const conversationsWithUnread = await Promise.all(
-      conversations.map(async (conversation) => {
-        const unreadCount = await Message.getUnreadCount(conversation._id, req.user._id);
-        
-        return {
-          ...conversation.toJSON(),
-          unreadCount
-        };
-      })
-    );
+    const conversations = await Conversation.findUserConversations(req.user._id, {
+      archived: req.query.archived === 'true'
+    });
+
+    // Unread counts for every conversation in a single query
+    const unreadCounts = await Message.getUnreadCounts(conversations, req.user._id);
+    const conversationsWithUnread = conversations.map(conversation => ({
+      ...conversation.toJSONFor(req.user._id),
+      unreadCount: unreadCounts.get(conversation._id.toString())
+    }));
 
     res.json({
       success: true,
@@ -52,6 +54,17 @@ router.post('/', authenticateToken, validateConversation, async (req, res) => {
     // Add current user to participants if not included
     const allParticipants = [...new Set([...participants, req.user._id.toString()])];
 
+    // Blocked users can't start conversations with each other or add each other to groups
+    const hiddenUserIds = new Set((await User.getHiddenUserIds(req.user._id)).map(String));
+    if (allParticipants.some(id => hiddenUserIds.has(id.toString()))) {
+      return res.status(403).json({
+        success: false,
+        message: type === 'direct'
+          ? 'You cannot start a conversation with this user'
+          : 'You cannot start a conversation with one or more of these users'
+      });
+    }
+
     // For direct conversations, check if conversation already exists
     if (type === 'direct' && allParticipants.length === 2) {
       const existingConversation = await Conversation.findDirectConversation(
@@ -60,11 +73,16 @@ router.post('/', authenticateToken, validateConversation, async (req, res) => {
       );
 
       if (existingConversation) {
+        const unreadCounts = await Message.getUnreadCounts([existingConversation], req.user._id);
+
         return res.json({
           success: true,
           message: 'Conversation already exists',
           data: {
-            conversation: existingConversation
+            conversation: {
+              ...existingConversation.toJSONFor(req.user._id),
+              unreadCount: unreadCounts.get(existingConversation._id.toString())
+            }
           }
         });
       }
@@ -82,17 +100,36 @@ router.post('/', authenticateToken, validateConversation, async (req, res) => {
       });
     }
 
+    // Respect participants who only accept conversations from their contacts
+    const restrictedParticipants = validParticipants.filter(participant =>
+      !participant._id.equals(req.user._id) && !participant.acceptsConversationsFrom(req.user._id)
+    );
+    if (restrictedParticipants.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: type === 'direct'
+          ? 'This user only accepts conversations from their contacts'
+          : 'One or more users only accept conversations from their contacts'
+      });
+    }
+
     // Create new conversation
     const conversation = new Conversation({
       participants: allParticipants,
       type,
       name,
       description,
-      createdBy: req.user._id
+      createdBy: req.user._id,
+      owner: type === 'group' ? req.user._id : null
     });
 
     await conversation.save();
 
+    // Participants now share a conversation, so they follow each other's presence
+    publish(EVENTS.PRESENCE_AUDIENCE_CHANGED, {
+      userIds: conversation.participants
+    });
+
     // Populate the conversation
     await conversation.populate('participants', 'username email avatar isOnline lastSeen');
 
@@ -101,7 +138,7 @@ router.post('/', authenticateToken, validateConversation, async (req, res) => {
       message: 'Conversation created successfully',
       data: {
         conversation: {
-          ...conversation.toJSON(),
+          ...conversation.toJSONFor(req.user._id),
           unreadCount: 0
         }
       }
@@ -142,14 +179,14 @@ router.get('/:id', authenticateToken, async (req, res) => {
       });
     }
 
-    const unreadCount = await Message.getUnreadCount(conversation._id, req.user._id);
+    const unreadCounts = await Message.getUnreadCounts([conversation], req.user._id);
 
     res.json({
       success: true,
       data: {
         conversation: {
-          ...conversation.toJSON(),
-          unreadCount
+          ...conversation.toJSONFor(req.user._id),
+          unreadCount: unreadCounts.get(conversation._id.toString())
         }
       }
     });
@@ -164,11 +201,11 @@ router.get('/:id', authenticateToken, async (req, res) => {
 
 // @route   PUT /api/conversations/:id
 // @desc    Update conversation
-// @access  Private
+// @access  Private (group owner/admins)
 router.put('/:id', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, description } = req.body;
+    const { name, description, avatar } = req.body;
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({
@@ -189,18 +226,37 @@ router.put('/:id', authenticateToken, async (req, res) => {
       });
     }
 
+    // Only group owners and admins can change group details
+    if (conversation.type === 'group' && !conversation.hasRole(req.user._id, 'admin')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only group owners and admins can update the group'
+      });
+    }
+
     // Update fields
     if (name !== undefined) conversation.name = name;
     if (description !== undefined) conversation.description = description;
+    if (avatar !== undefined) conversation.avatar = avatar;
+
+    const changedFields = ['name', 'description', 'avatar'].filter(field => conversation.isModified(field));
 
     await conversation.save();
     await conversation.populate('participants', 'username email avatar isOnline lastSeen');
 
+    if (changedFields.length > 0) {
+      publish(EVENTS.CONVERSATION_UPDATED, {
+        conversationId: conversation._id,
+        changes: Object.fromEntries(changedFields.map(field => [field, conversation[field]])),
+        updatedBy: req.user._id
+      });
+    }
+
     res.json({
       success: true,
       message: 'Conversation updated successfully',
       data: {
-        conversation: conversation.toJSON()
+        conversation: conversation.toJSONFor(req.user._id)
       }
     });
   } catch (error) {
@@ -212,6 +268,121 @@ router.put('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   POST /api/conversations/:id/read
+// @desc    Mark the conversation read up to a message (`{ messageId }`, default the newest)
+// @access  Private
+router.post('/:id/read', authenticateToken, validateMarkRead, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { messageId } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid conversation ID'
+      });
+    }
+
+    const conversation = await Conversation.findOne({
+      _id: id,
+      participants: req.user._id
+    });
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    const result = await conversation.markReadBy(req.user._id, messageId);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    if (result.moved) {
+      publish(EVENTS.CONVERSATION_READ, {
+        conversationId: conversation._id,
+        userId: req.user._id,
+        watermark: result.watermark
+      });
+    }
+
+    const unreadCounts = await Message.getUnreadCounts([conversation], req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Conversation marked as read',
+      data: {
+        lastReadMessage: result.watermark?.lastReadMessage || null,
+        readAt: result.watermark?.readAt || null,
+        unreadCount: unreadCounts.get(conversation._id.toString())
+      }
+    });
+  } catch (error) {
+    console.error('Mark conversation read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error marking conversation as read'
+    });
+  }
+});
+
+// @route   PUT /api/conversations/:id/settings
+// @desc    Update the current user's settings (mute, pin, archive) for a conversation
+// @access  Private
+router.put('/:id/settings', authenticateToken, validateConversationSettings, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { muted, mutedUntil, pinned, archived } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid conversation ID'
+      });
+    }
+
+    const conversation = await Conversation.findOne({
+      _id: id,
+      participants: req.user._id
+    });
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    await conversation.updateParticipantSettings(req.user._id, {
+      muted,
+      mutedUntil: mutedUntil ? new Date(mutedUntil) : null,
+      pinned,
+      archived
+    });
+
+    res.json({
+      success: true,
+      message: 'Conversation settings updated',
+      data: {
+        conversationId: conversation._id,
+        settings: conversation.getSettingsFor(req.user._id)
+      }
+    });
+  } catch (error) {
+    console.error('Update conversation settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating conversation settings'
+    });
+  }
+});
+
 // @route   DELETE /api/conversations/:id
 // @desc    Delete/leave conversation
 // @access  Private
@@ -241,6 +412,20 @@ router.delete('/:id', authenticateToken, async (req, res) => {
     // Remove user from participants
     await conversation.removeParticipant(req.user._id);
 
+    if (conversation.type === 'group') {
+      publish(EVENTS.MEMBER_REMOVED, {
+        conversationId: conversation._id,
+        userId: req.user._id,
+        removedBy: req.user._id,
+        owner: conversation.getOwnerId(),
+        participantIds: conversation.participants
+      });
+    } else {
+      publish(EVENTS.PRESENCE_AUDIENCE_CHANGED, {
+        userIds: [req.user._id, ...conversation.participants]
+      });
+    }
+
     res.json({
       success: true,
       message: 'Left conversation successfully'
@@ -256,7 +441,7 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 
 // @route   POST /api/conversations/:id/participants
 // @desc    Add participant to conversation
-// @access  Private
+// @access  Private (group owner/admins)
 router.post('/:id/participants', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
@@ -281,6 +466,20 @@ router.post('/:id/participants', authenticateToken, async (req, res) => {
       });
     }
 
+    if (conversation.type !== 'group') {
+      return res.status(400).json({
+        success: false,
+        message: 'Participants can only be added to group conversations'
+      });
+    }
+
+    if (!conversation.hasRole(req.user._id, 'admin')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only group owners and admins can add participants'
+      });
+    }
+
     // Check if user exists
     const userToAdd = await User.findById(userId);
     if (!userToAdd) {
@@ -290,15 +489,45 @@ router.post('/:id/participants', authenticateToken, async (req, res) => {
       });
     }
 
+    // Users who blocked the inviter can't be added by them
+    if (userToAdd.hasBlocked(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot add this user to the conversation'
+      });
+    }
+
+    if (!userToAdd.acceptsConversationsFrom(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This user can only be added to groups by their contacts'
+      });
+    }
+
+    const alreadyMember = conversation.participants.some(participant => participant.equals(userId));
+
     // Add participant
     await conversation.addParticipant(userId);
     await conversation.populate('participants', 'username email avatar isOnline lastSeen');
 
+    if (!alreadyMember) {
+      publish(EVENTS.MEMBERS_ADDED, {
+        conversationId: conversation._id,
+        members: [{
+          _id: userToAdd._id,
+          username: userToAdd.username,
+          avatar: userToAdd.avatar
+        }],
+        addedBy: req.user._id,
+        participantIds: conversation.participants.map(participant => participant._id)
+      });
+    }
+
     res.json({
       success: true,
-      message: 'Participant added successfully',
+      message: alreadyMember ? 'User is already a participant' : 'Participant added successfully',
       data: {
-        conversation: conversation.toJSON()
+        conversation: conversation.toJSONFor(req.user._id)
       }
     });
   } catch (error) {
@@ -1,8 +1,10 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import Conversation from '../models/Conversation.js';
 import User from '../models/User.js';
 import Message from '../models/Message.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { EVENTS, publish } from '../services/events.js';
 
 const router = express.Router();
 
@@ -47,9 +49,15 @@ router.get('/:id/members', authenticateToken, async (req, res) => {
           description: conversation.description,
           type: conversation.type,
           createdBy: conversation.createdBy,
+          owner: conversation.getOwnerId(),
+          admins: conversation.admins,
           participantCount: conversation.participants.length
         },
-        members: conversation.participants
+        members: conversation.participants.map(participant => ({
+          ...participant.toJSON(),
+          role: conversation.getRole(participant._id)
+        })),
+        myRole: conversation.getRole(req.user._id)
       }
     });
   } catch (error) {
@@ -63,7 +71,7 @@ router.get('/:id/members', authenticateToken, async (req, res) => {
 
 // @route   POST /api/conversations/:id/members
 // @desc    Add members to a group conversation
-// @access  Private (creator or existing members)
+// @access  Private (group owner/admins)
 router.post('/:id/members', authenticateToken, async (req, res) => {
   try {
     console.log('🔍 Add group members request:', {
@@ -104,22 +112,19 @@ router.post('/:id/members', authenticateToken, async (req, res) => {
       });
     }
 
-    // Check if user is a participant or creator
-    const isParticipant = conversation.participants.some(p => p._id.equals(req.user._id));
-    const isCreator = conversation.createdBy._id.equals(req.user._id);
+    // Check that the user is a group owner or admin
+    const role = conversation.getRole(req.user._id);
 
     console.log('🔍 Permission check:', {
-      isParticipant,
-      isCreator,
-      userId: req.user._id,
-      createdBy: conversation.createdBy._id
+      role,
+      userId: req.user._id
     });
 
-    if (!isParticipant && !isCreator) {
+    if (!conversation.hasRole(req.user._id, 'admin')) {
       console.log('❌ User not authorized');
       return res.status(403).json({
         success: false,
-        message: 'You are not authorized to add members to this conversation'
+        message: 'Only group owners and admins can add members'
       });
     }
 
@@ -148,6 +153,27 @@ router.post('/:id/members', authenticateToken, async (req, res) => {
       });
     }
 
+    // Users who blocked the inviter can't be added by them
+    const blockingUsers = usersToAdd.filter(user => user.hasBlocked(req.user._id));
+    if (blockingUsers.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'One or more users cannot be added to this group by you'
+      });
+    }
+
+    // Users who only accept conversations from contacts can only be added by them
+    const restrictedUsers = usersToAdd.filter(user =>
+      !conversation.participants.some(p => p._id.equals(user._id)) &&
+      !user.acceptsConversationsFrom(req.user._id)
+    );
+    if (restrictedUsers.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'One or more users can only be added to groups by their contacts'
+      });
+    }
+
     // Add users to conversation
     const addedUsers = [];
     const alreadyMembers = [];
@@ -178,6 +204,23 @@ router.post('/:id/members', authenticateToken, async (req, res) => {
       // Update last activity
       console.log('✅ Updating last activity');
       await conversation.updateLastActivity(systemMessage._id);
+
+      publish(EVENTS.MEMBERS_ADDED, {
+        conversationId: conversation._id,
+        members: addedUsers.map(u => ({
+          _id: u._id,
+          username: u.username,
+          avatar: u.avatar
+        })),
+        addedBy: req.user._id,
+        participantIds: conversation.participants.map(participant => participant._id || participant)
+      });
+
+      await systemMessage.populate('sender', 'username email avatar');
+      publish(EVENTS.MESSAGE_CREATED, {
+        conversationId: conversation._id,
+        message: systemMessage.toJSON()
+      });
     }
 
     console.log('✅ Sending success response');
@@ -209,7 +252,7 @@ router.post('/:id/members', authenticateToken, async (req, res) => {
 
 // @route   DELETE /api/conversations/:id/members/:userId
 // @desc    Remove a member from a group conversation
-// @access  Private (creator or the member themselves)
+// @access  Private (owner removes anyone, admins remove members, or the member themselves)
 router.delete('/:id/members/:userId', authenticateToken, async (req, res) => {
   try {
     const { userId } = req.params;
@@ -233,14 +276,20 @@ router.delete('/:id/members/:userId', authenticateToken, async (req, res) => {
       });
     }
 
-    // Check permissions: creator can remove anyone, users can remove themselves
-    const isCreator = conversation.createdBy._id.equals(req.user._id);
+    // Check permissions: users can remove themselves, otherwise the
+    // remover must be an admin and outrank the member being removed
     const isSelfRemoval = req.user._id.equals(userId);
+    const removerRole = conversation.getRole(req.user._id);
+    const targetRole = conversation.getRole(userId);
+    const outranksTarget = removerRole === 'owner' ||
+      (removerRole === 'admin' && targetRole === 'member');
 
-    if (!isCreator && !isSelfRemoval) {
+    if (!isSelfRemoval && !outranksTarget) {
       return res.status(403).json({
         success: false,
-        message: 'You can only remove yourself from the group'
+        message: removerRole === 'admin'
+          ? 'Admins can only remove regular members'
+          : 'You can only remove yourself from the group'
       });
     }
 
@@ -278,6 +327,20 @@ router.delete('/:id/members/:userId', authenticateToken, async (req, res) => {
     // Update last activity
     await conversation.updateLastActivity(systemMessage._id);
 
+    await systemMessage.populate('sender', 'username email avatar');
+    publish(EVENTS.MESSAGE_CREATED, {
+      conversationId: conversation._id,
+      message: systemMessage.toJSON()
+    });
+
+    publish(EVENTS.MEMBER_REMOVED, {
+      conversationId: conversation._id,
+      userId: userToRemove._id,
+      removedBy: req.user._id,
+      owner: conversation.getOwnerId(),
+      participantIds: conversation.participants.map(participant => participant._id)
+    });
+
     res.json({
       success: true,
       message: isSelfRemoval 
@@ -289,7 +352,8 @@ router.delete('/:id/members/:userId', authenticateToken, async (req, res) => {
           username: userToRemove.username,
           email: userToRemove.email
         },
-        remainingMembers: conversation.participants.length
+        remainingMembers: conversation.participants.length,
+        owner: conversation.owner
       }
     });
   } catch (error) {
@@ -301,6 +365,174 @@ router.delete('/:id/members/:userId', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   PUT /api/conversations/:id/members/:userId/role
+// @desc    Promote a member to admin or demote an admin to member
+// @access  Private (group owner only)
+router.put('/:id/members/:userId/role', authenticateToken, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id) || !mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ID format'
+      });
+    }
+
+    if (!['admin', 'member'].includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role must be admin or member'
+      });
+    }
+
+    const conversation = await Conversation.findById(req.params.id);
+
+    if (!conversation || !conversation.getRole(req.user._id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    if (conversation.type !== 'group') {
+      return res.status(400).json({
+        success: false,
+        message: 'This operation is only allowed for group conversations'
+      });
+    }
+
+    if (conversation.getRole(req.user._id) !== 'owner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the group owner can change member roles'
+      });
+    }
+
+    const currentRole = conversation.getRole(userId);
+
+    if (!currentRole) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is not a member of this conversation'
+      });
+    }
+
+    if (currentRole === 'owner') {
+      return res.status(400).json({
+        success: false,
+        message: 'Use ownership transfer to change the owner role'
+      });
+    }
+
+    if (currentRole !== role) {
+      await conversation.setRole(userId, role);
+
+      publish(EVENTS.MEMBER_ROLE_CHANGED, {
+        conversationId: conversation._id,
+        userId,
+        role,
+        admins: conversation.admins,
+        changedBy: req.user._id
+      });
+    }
+
+    res.json({
+      success: true,
+      message: role === 'admin' ? 'Member promoted to admin' : 'Admin demoted to member',
+      data: {
+        userId,
+        role,
+        admins: conversation.admins
+      }
+    });
+  } catch (error) {
+    console.error('Change member role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error changing member role'
+    });
+  }
+});
+
+// @route   POST /api/conversations/:id/transfer-ownership
+// @desc    Transfer group ownership to another member (current owner becomes admin)
+// @access  Private (group owner only)
+router.post('/:id/transfer-ownership', authenticateToken, async (req, res) => {
+  try {
+    const { userId } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id) || !mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ID format'
+      });
+    }
+
+    const conversation = await Conversation.findById(req.params.id);
+
+    if (!conversation || !conversation.getRole(req.user._id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    if (conversation.type !== 'group') {
+      return res.status(400).json({
+        success: false,
+        message: 'This operation is only allowed for group conversations'
+      });
+    }
+
+    if (conversation.getRole(req.user._id) !== 'owner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the group owner can transfer ownership'
+      });
+    }
+
+    if (req.user._id.equals(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already own this group'
+      });
+    }
+
+    if (!conversation.getRole(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is not a member of this conversation'
+      });
+    }
+
+    await conversation.transferOwnership(userId);
+
+    publish(EVENTS.OWNERSHIP_TRANSFERRED, {
+      conversationId: conversation._id,
+      owner: conversation.owner,
+      admins: conversation.admins,
+      previousOwner: req.user._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Ownership transferred successfully',
+      data: {
+        owner: conversation.owner,
+        admins: conversation.admins
+      }
+    });
+  } catch (error) {
+    console.error('Transfer ownership error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error transferring ownership'
+    });
+  }
+});
+
 // @route   GET /api/conversations/:id/available-users
 // @desc    Get users that can be added to the group (not already members)
 // @access  Private (participants only)
@@ -331,10 +563,16 @@ router.get('/:id/available-users', authenticateToken, async (req, res) => {
       });
     }
 
-    // Get all active users except current participants
+    // Get all active users except current participants, blocked users and
+    // users who only accept conversations from their contacts
+    const hiddenUserIds = await User.getHiddenUserIds(req.user._id);
     const availableUsers = await User.find({
-      _id: { $nin: conversation.participants },
-      isActive: true
+      _id: { $nin: [...conversation.participants, ...hiddenUserIds] },
+      isActive: true,
+      $or: [
+        { 'privacy.allowConversationsFrom': { $ne: 'contacts' } },
+        { _id: { $in: req.user.contacts } }
+      ]
     }).select('username email firstName lastName avatar').limit(50);
 
     res.json({
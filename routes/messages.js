@@ -2,18 +2,98 @@ import express from 'express';
 import mongoose from 'mongoose';
 import Message from '../models/Message.js';
 import Conversation from '../models/Conversation.js';
+import User from '../models/User.js';
+import Report from '../models/Report.js';
 import { authenticateToken } from '../middleware/auth.js';
-import { validateMessage } from '../middleware/validation.js';
+import {
+  validateMessage,
+  validateMessageSearch,
+  validateReaction,
+  validateReactionParam,
+  validateReport
+} from '../middleware/validation.js';
+import { uploadAttachment } from '../middleware/upload.js';
+import { getStorage } from '../services/storage/index.js';
+import { queueMessageNotification } from '../services/notifications/index.js';
+import { getOfflineParticipants } from '../socket/socketHandlers.js';
+import { EVENTS, publish } from '../services/events.js';
 
 const router = express.Router();
 
+// @route   GET /api/messages/search
+// @desc    Full-text search across the user's conversations
+// @query   q, conversationId, sender, from, to, type, cursor, limit
+// @access  Private
+router.get('/search', authenticateToken, validateMessageSearch, async (req, res) => {
+  try {
+    const { q, conversationId, sender, from, to, type, cursor } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+
+    // Only search conversations the user takes part in
+    const conversationIds = await Conversation.find({
+      participants: req.user._id,
+      ...(conversationId && { _id: conversationId })
+    }).distinct('_id');
+
+    if (conversationId && conversationIds.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    let resolvedCursor = null;
+    if (cursor) {
+      resolvedCursor = await Message.resolveCursor({ $in: conversationIds }, cursor);
+      if (!resolvedCursor) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid cursor'
+        });
+      }
+    }
+
+    const { results, hasMore, nextCursor } = await Message.searchMessages(conversationIds, {
+      q: q.trim(),
+      sender,
+      type,
+      from: from ? new Date(from) : null,
+      to: to ? new Date(to) : null,
+      cursor: resolvedCursor,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: {
+        results,
+        pagination: {
+          limit,
+          hasMore,
+          nextCursor
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Search messages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error searching messages'
+    });
+  }
+});
+
 // @route   GET /api/messages/:conversationId
-// @desc    Get messages for a conversation
+// @desc    Get messages for a conversation (cursor-based pagination, or a sequence range)
+// @query   before, after - message ID or timestamp cursor; around - message ID to jump to;
+//          fromSequence, toSequence - inclusive sequence range (deleted messages included); limit
 // @access  Private
 router.get('/:conversationId', authenticateToken, async (req, res) => {
   try {
     const { conversationId } = req.params;
-    const { page = 1, limit = 50 } = req.query;
+    const { before, after, around, fromSequence, toSequence } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+    const bySequence = fromSequence !== undefined || toSequence !== undefined;
 
     if (!mongoose.Types.ObjectId.isValid(conversationId)) {
       return res.status(400).json({
@@ -22,6 +102,35 @@ router.get('/:conversationId', authenticateToken, async (req, res) => {
       });
     }
 
+    if ([before, after, around, bySequence].filter(Boolean).length > 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only one of before, after, around or a sequence range can be used'
+      });
+    }
+
+    const isSequence = (value) => /^\d+$/.test(value) && parseInt(value) >= 1;
+    if (bySequence && (!isSequence(fromSequence) || (toSequence !== undefined && !isSequence(toSequence)))) {
+      return res.status(400).json({
+        success: false,
+        message: 'fromSequence is required, and sequence numbers must be positive integers'
+      });
+    }
+
+    if (bySequence && toSequence !== undefined && parseInt(toSequence) < parseInt(fromSequence)) {
+      return res.status(400).json({
+        success: false,
+        message: 'toSequence must not be less than fromSequence'
+      });
+    }
+
+    if (around && !mongoose.Types.ObjectId.isValid(around)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid message ID for around'
+      });
+    }
+
     // Check if user is participant in conversation
     const conversation = await Conversation.findOne({
       _id: conversationId,
@@ -35,24 +144,67 @@ router.get('/:conversationId', authenticateToken, async (req, res) => {
       });
     }
 
-    // Get messages
-    const messages = await Message.getConversationMessages(
-      conversationId,
-      parseInt(page),
-      parseInt(limit)
-    );
+    if (bySequence) {
+      const result = await Message.getMessagesBySequence(conversationId, {
+        from: parseInt(fromSequence),
+        to: toSequence !== undefined ? parseInt(toSequence) : null,
+        limit
+      });
+
+      return res.json({
+        success: true,
+        data: {
+          messages: result.messages,
+          skippedSequences: result.skippedSequences,
+          pagination: {
+            limit,
+            hasMore: result.hasMore,
+            nextSequence: result.nextSequence,
+            lastSequence: conversation.lastSequence
+          }
+        }
+      });
+    }
+
+    // Resolve cursors to a (createdAt, _id) position
+    const [beforeCursor, afterCursor] = await Promise.all([
+      Message.resolveCursor(conversationId, before),
+      Message.resolveCursor(conversationId, after)
+    ]);
 
-    // Reverse to get chronological order (oldest first)
-    const chronologicalMessages = messages.reverse();
+    if ((before && !beforeCursor) || (after && !afterCursor)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
+    // Get messages (oldest first)
+    const result = await Message.getConversationMessages(conversationId, {
+      before: beforeCursor,
+      after: afterCursor,
+      around,
+      limit
+    });
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
 
     res.json({
       success: true,
       data: {
-        messages: chronologicalMessages,
+        messages: result.messages,
         pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          hasMore: messages.length === parseInt(limit)
+          limit,
+          hasMore: result.hasOlder,
+          hasOlder: result.hasOlder,
+          hasNewer: result.hasNewer,
+          prevCursor: result.prevCursor,
+          nextCursor: result.nextCursor
         }
       }
     });
@@ -65,12 +217,35 @@ router.get('/:conversationId', authenticateToken, async (req, res) => {
   }
 });
 
+// Respond with a message stored by an earlier request with the same clientMessageId
+const sendExistingMessage = async (res, message, conversationId) => {
+  if (!message.conversation.equals(conversationId)) {
+    return res.status(409).json({
+      success: false,
+      message: 'clientMessageId was already used for a message in another conversation'
+    });
+  }
+
+  await message.populate('sender', 'username email avatar');
+  await message.populate('replyTo', 'content sender');
+
+  res.json({
+    success: true,
+    message: 'Message already sent',
+    data: {
+      message: message.toJSON(),
+      duplicate: true
+    }
+  });
+};
+
 // @route   POST /api/messages
-// @desc    Send a new message
+// @desc    Send a new message (`clientMessageId` makes retries idempotent)
 // @access  Private
 router.post('/', authenticateToken, validateMessage, async (req, res) => {
   try {
     const { conversationId, content, type = 'text', replyTo } = req.body;
+    const clientMessageId = req.body.clientMessageId?.trim();
 
     if (!mongoose.Types.ObjectId.isValid(conversationId)) {
       return res.status(400).json({
@@ -92,6 +267,23 @@ router.post('/', authenticateToken, validateMessage, async (req, res) => {
       });
     }
 
+    // A retry of a message that was already stored returns it unchanged
+    if (clientMessageId) {
+      const existingMessage = await Message.findByClientMessageId(req.user._id, clientMessageId);
+      if (existingMessage) {
+        return sendExistingMessage(res, existingMessage, conversation._id);
+      }
+    }
+
+    // Blocked users can't message each other directly
+    const otherParticipant = conversation.getOtherParticipant(req.user._id);
+    if (otherParticipant && await User.isBlockedBetween(req.user._id, otherParticipant)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot send messages to this user'
+      });
+    }
+
     // Validate reply message if provided
     if (replyTo && !mongoose.Types.ObjectId.isValid(replyTo)) {
       return res.status(400).json({
@@ -106,10 +298,22 @@ router.post('/', authenticateToken, validateMessage, async (req, res) => {
       sender: req.user._id,
       content,
       type,
-      replyTo: replyTo || null
+      replyTo: replyTo || null,
+      clientMessageId
     });
 
-    await message.save();
+    try {
+      await message.save();
+    } catch (error) {
+      // A concurrent retry stored it first
+      if (error.code === 11000 && clientMessageId) {
+        const existingMessage = await Message.findByClientMessageId(req.user._id, clientMessageId);
+        if (existingMessage) {
+          return sendExistingMessage(res, existingMessage, conversation._id);
+        }
+      }
+      throw error;
+    }
 
     // Update conversation's last activity and last message
     await conversation.updateLastActivity(message._id);
@@ -120,6 +324,18 @@ router.post('/', authenticateToken, validateMessage, async (req, res) => {
       await message.populate('replyTo', 'content sender');
     }
 
+    publish(EVENTS.MESSAGE_CREATED, {
+      conversationId: conversation._id,
+      message: message.toJSON()
+    });
+
+    // Send push notification to offline users
+    queueMessageNotification({
+      message,
+      conversation,
+      recipientIds: await getOfflineParticipants(conversation, req.user._id)
+    });
+
     res.status(201).json({
       success: true,
       message: 'Message sent successfully',
@@ -136,6 +352,217 @@ router.post('/', authenticateToken, validateMessage, async (req, res) => {
   }
 });
 
+// @route   POST /api/messages/upload
+// @desc    Upload a file or image and send it as a message (multipart/form-data)
+// @access  Private
+router.post('/upload', authenticateToken, uploadAttachment, async (req, res) => {
+  try {
+    const { conversationId, content, replyTo } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'A file is required'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(conversationId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid conversation ID'
+      });
+    }
+
+    if (replyTo && !mongoose.Types.ObjectId.isValid(replyTo)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid reply message ID'
+      });
+    }
+
+    if (content && content.trim().length > 2000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Message cannot exceed 2000 characters'
+      });
+    }
+
+    // Check if user is participant in conversation
+    const conversation = await Conversation.findOne({
+      _id: conversationId,
+      participants: req.user._id
+    });
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    // Blocked users can't message each other directly
+    const otherParticipant = conversation.getOtherParticipant(req.user._id);
+    if (otherParticipant && await User.isBlockedBetween(req.user._id, otherParticipant)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot send messages to this user'
+      });
+    }
+
+    // Store the file before creating the message
+    const storage = getStorage();
+    const fileKey = await storage.save(req.file.buffer, {
+      originalName: req.file.originalname,
+      mimeType: req.file.mimetype
+    });
+
+    const message = new Message({
+      conversation: conversationId,
+      sender: req.user._id,
+      content: content?.trim() || req.file.originalname,
+      type: req.file.mimetype.startsWith('image/') ? 'image' : 'file',
+      fileName: req.file.originalname,
+      fileSize: req.file.size,
+      mimeType: req.file.mimetype,
+      fileKey,
+      replyTo: replyTo || null
+    });
+    message.fileUrl = `/api/messages/${message._id}/file`;
+
+    try {
+      await message.save();
+    } catch (error) {
+      // Don't leave orphaned files behind
+      await storage.remove(fileKey);
+      throw error;
+    }
+
+    // Update conversation's last activity and last message
+    await conversation.updateLastActivity(message._id);
+
+    // Populate message data
+    await message.populate('sender', 'username email avatar');
+    if (replyTo) {
+      await message.populate('replyTo', 'content sender');
+    }
+
+    publish(EVENTS.MESSAGE_CREATED, {
+      conversationId: conversation._id,
+      message: message.toJSON()
+    });
+
+    // Send push notification to offline users
+    queueMessageNotification({
+      message,
+      conversation,
+      recipientIds: await getOfflineParticipants(conversation, req.user._id)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'File uploaded successfully',
+      data: {
+        message: message.toJSON()
+      }
+    });
+  } catch (error) {
+    console.error('Upload message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error uploading file'
+    });
+  }
+});
+
+// @route   GET /api/messages/:id/file
+// @desc    Download a message attachment
+// @access  Private (conversation participants only)
+router.get('/:id/file', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid message ID'
+      });
+    }
+
+    const message = await Message.findOne({
+      _id: id,
+      isDeleted: false,
+      fileKey: { $ne: null }
+    });
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    // Check if user is participant in the conversation
+    const conversation = await Conversation.findOne({
+      _id: message.conversation,
+      participants: req.user._id
+    });
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    let stream;
+    try {
+      stream = await getStorage().createReadStream(message.fileKey);
+    } catch (error) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    const disposition = message.type === 'image' ? 'inline' : 'attachment';
+    res.setHeader('Content-Type', message.mimeType || 'application/octet-stream');
+    res.setHeader('Content-Disposition', `${disposition}; filename*=UTF-8''${encodeURIComponent(message.fileName)}`);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    if (message.fileSize) {
+      res.setHeader('Content-Length', message.fileSize);
+    }
+
+    stream.on('error', (error) => {
+      console.error('File stream error:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Download file error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error downloading file'
+    });
+  }
+});
+
+// Find a message the user can see (participant in its conversation); deleted
+// messages only when `includeDeleted` is set
+const findParticipantMessage = async (messageId, userId, { includeDeleted = false } = {}) => {
+  const message = await Message.findOne({
+    _id: messageId,
+    ...(!includeDeleted && { isDeleted: false })
+  });
+  if (!message) return null;
+
+  const isParticipant = await Conversation.exists({
+    _id: message.conversation,
+    participants: userId
+  });
+
+  return isParticipant ? message : null;
+};
+
 // @route   PUT /api/messages/:id
 // @desc    Edit a message
 // @access  Private
@@ -181,10 +608,27 @@ router.put('/:id', authenticateToken, async (req, res) => {
       });
     }
 
+    // Unchanged content does not create a new revision
+    if (content.trim() === message.content) {
+      await message.populate('sender', 'username email avatar');
+      return res.json({
+        success: true,
+        message: 'Message unchanged',
+        data: {
+          message: message.toJSON()
+        }
+      });
+    }
+
     // Edit message
     await message.editContent(content.trim());
     await message.populate('sender', 'username email avatar');
 
+    publish(EVENTS.MESSAGE_EDITED, {
+      conversationId: message.conversation,
+      message: message.toJSON()
+    });
+
     res.json({
       success: true,
       message: 'Message edited successfully',
@@ -201,6 +645,115 @@ router.put('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   GET /api/messages/:id/history
+// @desc    Get a message's edit history with a diff for each revision (empty once deleted)
+// @access  Private (conversation participants)
+router.get('/:id/history', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid message ID'
+      });
+    }
+
+    const message = await findParticipantMessage(id, req.user._id, { includeDeleted: true });
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        messageId: message._id,
+        // Deleted content stays visible to moderators only
+        revisions: message.isDeleted ? [] : message.getEditHistory()
+      }
+    });
+  } catch (error) {
+    console.error('Get message history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error getting message history'
+    });
+  }
+});
+
+// @route   GET /api/messages/:id/receipts
+// @desc    Get who received and who read a message, and when
+// @access  Private (sender only)
+router.get('/:id/receipts', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid message ID'
+      });
+    }
+
+    const message = await Message.findOne({
+      _id: id,
+      sender: req.user._id
+    });
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found or you are not its sender'
+      });
+    }
+
+    const conversation = await Conversation.findOne({
+      _id: message.conversation,
+      participants: req.user._id
+    }).populate('participants', 'username avatar');
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    const receipts = conversation.getReceipts(message);
+    const users = new Map(conversation.participants.map(user => [user._id.toString(), user]));
+
+    res.json({
+      success: true,
+      data: {
+        messageId: message._id,
+        conversationId: conversation._id,
+        summary: conversation.getDeliverySummary(message, receipts),
+        receipts: receipts.map(receipt => {
+          const user = users.get(receipt.user.toString());
+          return {
+            ...receipt,
+            user: {
+              _id: user._id,
+              username: user.username,
+              avatar: user.avatar
+            }
+          };
+        })
+      }
+    });
+  } catch (error) {
+    console.error('Get message receipts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error getting message receipts'
+    });
+  }
+});
+
 // @route   DELETE /api/messages/:id
 // @desc    Delete a message
 // @access  Private
@@ -232,6 +785,12 @@ router.delete('/:id', authenticateToken, async (req, res) => {
     // Soft delete message
     await message.softDelete();
 
+    publish(EVENTS.MESSAGE_DELETED, {
+      conversationId: message.conversation,
+      messageId: message._id,
+      deletedBy: req.user._id
+    });
+
     res.json({
       success: true,
       message: 'Message deleted successfully'
@@ -245,8 +804,186 @@ router.delete('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   POST /api/messages/:id/reactions
+// @desc    Add a reaction to a message
+// @access  Private
+router.post('/:id/reactions', authenticateToken, validateReaction, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { emoji } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid message ID'
+      });
+    }
+
+    const message = await findParticipantMessage(id, req.user._id);
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    await message.addReaction(emoji, req.user._id);
+
+    publish(EVENTS.REACTION_UPDATED, {
+      messageId: message._id,
+      conversationId: message.conversation,
+      userId: req.user._id,
+      emoji,
+      action: 'add',
+      reactions: message.getReactionSummary()
+    });
+
+    res.json({
+      success: true,
+      message: 'Reaction added',
+      data: {
+        messageId: message._id,
+        reactions: message.getReactionSummary()
+      }
+    });
+  } catch (error) {
+    console.error('Add reaction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error adding reaction'
+    });
+  }
+});
+
+// @route   DELETE /api/messages/:id/reactions/:emoji
+// @desc    Remove the current user's reaction from a message
+// @access  Private
+router.delete('/:id/reactions/:emoji', authenticateToken, validateReactionParam, async (req, res) => {
+  try {
+    const { id, emoji } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid message ID'
+      });
+    }
+
+    const message = await findParticipantMessage(id, req.user._id);
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    await message.removeReaction(emoji, req.user._id);
+
+    publish(EVENTS.REACTION_UPDATED, {
+      messageId: message._id,
+      conversationId: message.conversation,
+      userId: req.user._id,
+      emoji,
+      action: 'remove',
+      reactions: message.getReactionSummary()
+    });
+
+    res.json({
+      success: true,
+      message: 'Reaction removed',
+      data: {
+        messageId: message._id,
+        reactions: message.getReactionSummary()
+      }
+    });
+  } catch (error) {
+    console.error('Remove reaction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error removing reaction'
+    });
+  }
+});
+
+// @route   POST /api/messages/:id/report
+// @desc    Report a message to moderators
+// @access  Private
+router.post('/:id/report', authenticateToken, validateReport, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason, details = '' } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid message ID'
+      });
+    }
+
+    const message = await findParticipantMessage(id, req.user._id);
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    if (message.sender.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot report your own message'
+      });
+    }
+
+    const target = {
+      reporter: req.user._id,
+      targetType: 'message',
+      reportedUser: message.sender,
+      message: message._id
+    };
+
+    const existingReport = await Report.findOpenDuplicate(target);
+    if (existingReport) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already reported this message'
+      });
+    }
+
+    const report = await Report.create({
+      ...target,
+      conversation: message.conversation,
+      messageSnapshot: {
+        content: message.content,
+        messageType: message.type,
+        fileName: message.fileName,
+        createdAt: message.createdAt
+      },
+      reason,
+      details
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Report submitted. Our moderators will review it.',
+      data: {
+        reportId: report._id
+      }
+    });
+  } catch (error) {
+    console.error('Report message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error reporting message'
+    });
+  }
+});
+
 // @route   POST /api/messages/:id/read
-// @desc    Mark message as read
+// @desc    Mark the message's conversation read up to this message
 // @access  Private
 router.post('/:id/read', authenticateToken, async (req, res) => {
   try {
@@ -281,8 +1018,16 @@ router.post('/:id/read', authenticateToken, async (req, res) => {
       });
     }
 
-    // Mark as read
-    await message.markAsRead(req.user._id);
+    // Move the read watermark up to this message
+    const { watermark, moved } = await conversation.markReadBy(req.user._id, message._id);
+
+    if (moved) {
+      publish(EVENTS.CONVERSATION_READ, {
+        conversationId: conversation._id,
+        userId: req.user._id,
+        watermark
+      });
+    }
 
     res.json({
       success: true,
@@ -0,0 +1,121 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Device from '../models/Device.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { validateDeviceRegistration } from '../middleware/validation.js';
+import { getProvider } from '../services/notifications/index.js';
+
+const router = express.Router();
+
+// @route   GET /api/notifications/vapid-public-key
+// @desc    Get the VAPID public key used to create Web Push subscriptions
+// @access  Private
+router.get('/vapid-public-key', authenticateToken, (req, res) => {
+  const provider = getProvider('webpush');
+
+  if (!provider || !provider.isConfigured()) {
+    return res.status(503).json({
+      success: false,
+      message: 'Web Push notifications are not configured'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      publicKey: provider.getPublicKey()
+    }
+  });
+});
+
+// @route   GET /api/notifications/devices
+// @desc    List the current user's registered devices
+// @access  Private
+router.get('/devices', authenticateToken, async (req, res) => {
+  try {
+    const devices = await Device.find({ user: req.user._id }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        devices
+      }
+    });
+  } catch (error) {
+    console.error('Get devices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error getting devices'
+    });
+  }
+});
+
+// @route   POST /api/notifications/devices
+// @desc    Register a device push subscription
+// @access  Private
+router.post('/devices', authenticateToken, validateDeviceRegistration, async (req, res) => {
+  try {
+    const { provider = 'webpush', subscription, name } = req.body;
+
+    const device = await Device.register(req.user._id, {
+      sessionId: req.sessionId,
+      provider,
+      endpoint: subscription.endpoint,
+      keys: subscription.keys,
+      name,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Device registered successfully',
+      data: {
+        device
+      }
+    });
+  } catch (error) {
+    console.error('Register device error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error registering device'
+    });
+  }
+});
+
+// @route   DELETE /api/notifications/devices/:id
+// @desc    Unregister a device
+// @access  Private
+router.delete('/devices/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid device ID'
+      });
+    }
+
+    const device = await Device.findOneAndDelete({ _id: id, user: req.user._id });
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Device unregistered successfully'
+    });
+  } catch (error) {
+    console.error('Unregister device error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error unregistering device'
+    });
+  }
+});
+
+export default router;
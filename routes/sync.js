@@ -0,0 +1,50 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { getMissedEvents, getCurrentSyncToken, isValidSyncToken, MAX_SYNC_EVENTS } from '../services/sync.js';
+
+const router = express.Router();
+
+// @route   GET /api/sync
+// @desc    Get conversation changes missed since a sync token (?since=<token>&limit=);
+//          without a token, returns the current token to start from
+// @access  Private
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { since } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || MAX_SYNC_EVENTS, 1), MAX_SYNC_EVENTS);
+
+    if (!since) {
+      return res.json({
+        success: true,
+        data: {
+          events: [],
+          syncToken: getCurrentSyncToken(),
+          hasMore: false,
+          reset: false
+        }
+      });
+    }
+
+    if (!isValidSyncToken(since)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid sync token'
+      });
+    }
+
+    const result = await getMissedEvents(req.user._id, since, { limit });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Sync error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error syncing'
+    });
+  }
+});
+
+export default router;
@@ -1,8 +1,19 @@
 import express from 'express';
 import mongoose from 'mongoose';
 import User from '../models/User.js';
+import Report from '../models/Report.js';
+import ContactRequest from '../models/ContactRequest.js';
 import { authenticateToken } from '../middleware/auth.js';
-import { validateProfileUpdate, validatePasswordChange } from '../middleware/validation.js';
+import {
+  validateProfileUpdate,
+  validatePasswordChange,
+  validateReport,
+  validateStatusUpdate,
+  validatePrivacyUpdate
+} from '../middleware/validation.js';
+import { updateUserStatus } from '../socket/socketHandlers.js';
+import { getPresenceAudience, withVisiblePresence } from '../services/presence/audience.js';
+import { EVENTS, publish } from '../services/events.js';
 
 const router = express.Router();
 
@@ -21,21 +32,22 @@ router.get('/search', authenticateToken, async (req, res) => {
     }
 
     const searchRegex = new RegExp(q.trim(), 'i');
+    const hiddenUserIds = await User.getHiddenUserIds(req.user._id);
     
     const users = await User.find({
-      _id: { $ne: req.user._id }, // Exclude current user
+      _id: { $nin: [req.user._id, ...hiddenUserIds] }, // Exclude current and blocked users
       $or: [
         { username: searchRegex },
         { email: searchRegex }
       ]
     })
-    .select('username email avatar isOnline lastSeen')
+    .select('username email avatar isOnline lastSeen status isIdle customStatus')
     .limit(parseInt(limit));
 
     res.json({
       success: true,
       data: {
-        users
+        users: await withVisiblePresence(req.user._id, users)
       }
     });
   } catch (error) {
@@ -47,6 +59,207 @@ router.get('/search', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   GET /api/users/blocked
+// @desc    Get users blocked by the current user
+// @access  Private
+router.get('/blocked', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .populate('blockedUsers', 'username email avatar');
+
+    res.json({
+      success: true,
+      data: {
+        users: user.blockedUsers
+      }
+    });
+  } catch (error) {
+    console.error('Get blocked users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error getting blocked users'
+    });
+  }
+});
+
+// @route   GET /api/users/online
+// @desc    Get online users among your contacts and conversation partners
+// @access  Private
+router.get('/online', authenticateToken, async (req, res) => {
+  try {
+    const audience = await getPresenceAudience(req.user._id);
+
+    const onlineUsers = await User.find({
+      _id: { $in: audience },
+      isOnline: true
+    })
+    .select('username email avatar isOnline lastSeen status isIdle customStatus')
+    .limit(50);
+
+    res.json({
+      success: true,
+      data: {
+        users: onlineUsers
+      }
+    });
+  } catch (error) {
+    console.error('Get online users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error getting online users'
+    });
+  }
+});
+
+// @route   POST /api/users/:id/block
+// @desc    Block a user
+// @access  Private
+router.post('/:id/block', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    if (req.user._id.equals(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot block yourself'
+      });
+    }
+
+    const userToBlock = await User.exists({ _id: id });
+    if (!userToBlock) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await req.user.blockUser(id);
+    await Promise.all([
+      User.removeContact(req.user._id, id),
+      ContactRequest.cancelPendingBetween(req.user._id, id)
+    ]);
+    publish(EVENTS.USER_BLOCKED, { userId: req.user._id, blockedUserId: id });
+
+    res.json({
+      success: true,
+      message: 'User blocked successfully'
+    });
+  } catch (error) {
+    console.error('Block user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error blocking user'
+    });
+  }
+});
+
+// @route   DELETE /api/users/:id/block
+// @desc    Unblock a user
+// @access  Private
+router.delete('/:id/block', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    if (!req.user.hasBlocked(id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not blocked'
+      });
+    }
+
+    await req.user.unblockUser(id);
+
+    publish(EVENTS.PRESENCE_AUDIENCE_CHANGED, { userIds: [req.user._id, id] });
+
+    res.json({
+      success: true,
+      message: 'User unblocked successfully'
+    });
+  } catch (error) {
+    console.error('Unblock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error unblocking user'
+    });
+  }
+});
+
+// @route   POST /api/users/:id/report
+// @desc    Report a user to moderators
+// @access  Private
+router.post('/:id/report', authenticateToken, validateReport, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason, details = '' } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    if (req.user._id.equals(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot report yourself'
+      });
+    }
+
+    const reportedUser = await User.exists({ _id: id });
+    if (!reportedUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const target = {
+      reporter: req.user._id,
+      targetType: 'user',
+      reportedUser: reportedUser._id
+    };
+
+    const existingReport = await Report.findOpenDuplicate(target);
+    if (existingReport) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already reported this user'
+      });
+    }
+
+    const report = await Report.create({ ...target, reason, details });
+
+    res.status(201).json({
+      success: true,
+      message: 'Report submitted. Our moderators will review it.',
+      data: {
+        reportId: report._id
+      }
+    });
+  } catch (error) {
+    console.error('Report user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error reporting user'
+    });
+  }
+});
+
 // @route   GET /api/users/:id
 // @desc    Get user profile
 // @access  Private
@@ -62,7 +275,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
     }
 
     const user = await User.findById(id)
-      .select('username email avatar isOnline lastSeen createdAt');
+      .select('username email avatar isOnline lastSeen status isIdle customStatus createdAt');
 
     if (!user) {
       return res.status(404).json({
@@ -71,10 +284,12 @@ router.get('/:id', authenticateToken, async (req, res) => {
       });
     }
 
+    const [visibleUser] = await withVisiblePresence(req.user._id, [user]);
+
     res.json({
       success: true,
       data: {
-        user
+        user: visibleUser
       }
     });
   } catch (error) {
@@ -197,17 +412,19 @@ router.get('/', authenticateToken, async (req, res) => {
   try {
     const { limit = 50 } = req.query;
 
+    const hiddenUserIds = await User.getHiddenUserIds(req.user._id);
+
     const users = await User.find({
-      _id: { $ne: req.user._id } // Exclude current user
+      _id: { $nin: [req.user._id, ...hiddenUserIds] } // Exclude current and blocked users
     })
-    .select('username email avatar isOnline lastSeen')
-    .sort({ isOnline: -1, lastSeen: -1 }) // Online users first, then by last seen
+    .select('username email avatar isOnline lastSeen status isIdle customStatus')
+    .sort({ username: 1 }) // Not by presence, which would reveal it for hidden users
     .limit(parseInt(limit));
 
     res.json({
       success: true,
       data: {
-        users
+        users: await withVisiblePresence(req.user._id, users)
       }
     });
   } catch (error) {
@@ -219,29 +436,54 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
-// @route   GET /api/users/online
-// @desc    Get online users
+// @route   PUT /api/users/status
+// @desc    Set presence status (online, away, busy, invisible) and/or custom status
 // @access  Private
-router.get('/online', authenticateToken, async (req, res) => {
+router.put('/status', authenticateToken, validateStatusUpdate, async (req, res) => {
   try {
-    const onlineUsers = await User.find({
-      _id: { $ne: req.user._id },
-      isOnline: true
-    })
-    .select('username email avatar isOnline')
-    .limit(50);
+    const { status, customStatus } = req.body;
+    const user = await updateUserStatus(req.app.get('io'), req.user._id, { status, customStatus });
 
     res.json({
       success: true,
+      message: 'Status updated successfully',
       data: {
-        users: onlineUsers
+        status: user.status,
+        visibleStatus: user.getVisibleStatus(),
+        customStatus: user.getActiveCustomStatus()
       }
     });
   } catch (error) {
-    console.error('Get online users error:', error);
+    console.error('Update status error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error getting online users'
+      message: 'Server error updating status'
+    });
+  }
+});
+
+// @route   PUT /api/users/privacy
+// @desc    Choose who can start direct conversations with you or add you to groups
+// @access  Private
+router.put('/privacy', authenticateToken, validatePrivacyUpdate, async (req, res) => {
+  try {
+    const { allowConversationsFrom } = req.body;
+
+    req.user.privacy.allowConversationsFrom = allowConversationsFrom;
+    await req.user.save();
+
+    res.json({
+      success: true,
+      message: 'Privacy settings updated successfully',
+      data: {
+        privacy: req.user.privacy
+      }
+    });
+  } catch (error) {
+    console.error('Update privacy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating privacy settings'
     });
   }
 });
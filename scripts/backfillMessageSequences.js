@@ -0,0 +1,127 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import Conversation from '../models/Conversation.js';
+import Message from '../models/Message.js';
+
+// Load environment variables
+dotenv.config();
+
+const BATCH_SIZE = 1000;
+
+// Number the messages of every conversation that has unsequenced messages
+// (created before sequence numbers existed). Each such conversation is
+// renumbered from 1 in (createdAt, _id) order and its lastSequence updated.
+// Read and delivery watermarks then get the sequence of their message.
+// Run with the server stopped so no messages are created meanwhile.
+const backfillMessageSequences = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('📦 Connected to MongoDB');
+
+    const conversationIds = await Message.distinct('conversation', {
+      sequence: { $exists: false }
+    });
+
+    let numbered = 0;
+
+    for (const conversationId of conversationIds) {
+      // Clear existing numbers first so renumbering can't hit the unique index
+      await Message.collection.updateMany(
+        { conversation: conversationId, sequence: { $exists: true } },
+        { $unset: { sequence: '' } }
+      );
+
+      const messages = Message.collection
+        .find({ conversation: conversationId }, { projection: { _id: 1 } })
+        .sort({ createdAt: 1, _id: 1 });
+
+      let sequence = 0;
+      let batch = [];
+
+      for await (const { _id } of messages) {
+        sequence++;
+        batch.push({
+          updateOne: { filter: { _id }, update: { $set: { sequence } } }
+        });
+
+        if (batch.length === BATCH_SIZE) {
+          await Message.collection.bulkWrite(batch, { ordered: false });
+          batch = [];
+        }
+      }
+
+      if (batch.length > 0) {
+        await Message.collection.bulkWrite(batch, { ordered: false });
+      }
+
+      await Conversation.updateOne(
+        { _id: conversationId },
+        { $set: { lastSequence: sequence, skippedSequences: [] } }
+      );
+
+      numbered += sequence;
+    }
+
+    console.log(`✅ Numbered ${numbered} messages in ${conversationIds.length} conversations`);
+
+    // Watermarks point at messages; copy each message's sequence onto them
+    const watermarkFields = [
+      { message: 'lastReadMessage', sequence: 'lastReadSequence' },
+      { message: 'lastDeliveredMessage', sequence: 'lastDeliveredSequence' }
+    ];
+    const conversations = Conversation.collection.find(
+      {
+        $or: [
+          { _id: { $in: conversationIds } },
+          ...watermarkFields.map(fields => ({
+            participantSettings: {
+              $elemMatch: { [fields.message]: { $ne: null }, [fields.sequence]: null }
+            }
+          }))
+        ]
+      },
+      { projection: { participantSettings: 1 } }
+    );
+
+    let updatedWatermarks = 0;
+
+    for await (const conversation of conversations) {
+      const settings = conversation.participantSettings || [];
+      const messageIds = settings.flatMap(setting =>
+        watermarkFields.map(fields => setting[fields.message]).filter(Boolean)
+      );
+      const messages = await Message.collection
+        .find({ _id: { $in: messageIds } }, { projection: { sequence: 1 } })
+        .toArray();
+      const sequenceOf = new Map(messages.map(message => [message._id.toString(), message.sequence ?? null]));
+
+      const update = {};
+      settings.forEach((setting, index) => {
+        watermarkFields.forEach(fields => {
+          if (!setting[fields.message]) return;
+          update[`participantSettings.${index}.${fields.sequence}`] =
+            sequenceOf.get(setting[fields.message].toString()) ?? null;
+        });
+      });
+
+      if (Object.keys(update).length > 0) {
+        await Conversation.collection.updateOne({ _id: conversation._id }, { $set: update });
+        updatedWatermarks += Object.keys(update).length;
+      }
+    }
+
+    console.log(`✅ Updated ${updatedWatermarks} watermarks`);
+
+  } catch (error) {
+    console.error('❌ Error backfilling message sequences:', error);
+  } finally {
+    // Close database connection
+    await mongoose.connection.close();
+    console.log('📦 Database connection closed');
+    process.exit(0);
+  }
+};
+
+// Run the script
+backfillMessageSequences();
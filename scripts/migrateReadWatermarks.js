@@ -0,0 +1,70 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import Conversation from '../models/Conversation.js';
+import Message from '../models/Message.js';
+
+// Load environment variables
+dotenv.config();
+
+// Convert the per-message readBy arrays into per-participant read watermarks:
+// each user's watermark becomes the newest message they had read in each
+// conversation. The readBy arrays and their index are removed afterwards.
+const migrateReadWatermarks = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('📦 Connected to MongoDB');
+
+    // readBy is no longer in the schema, so read it from the raw collection
+    const reads = Message.collection.aggregate([
+      { $match: { 'readBy.0': { $exists: true } } },
+      { $sort: { createdAt: -1, _id: -1 } },
+      { $unwind: '$readBy' },
+      {
+        $group: {
+          _id: { conversation: '$conversation', user: '$readBy.user' },
+          message: { $first: '$_id' },
+          readAt: { $first: '$readBy.readAt' }
+        }
+      }
+    ], { allowDiskUse: true });
+
+    let migrated = 0;
+
+    for await (const { _id, message, readAt } of reads) {
+      if (!_id.user) continue;
+
+      const conversation = await Conversation.findById(_id.conversation);
+      if (!conversation) continue;
+
+      const result = await conversation.markReadBy(_id.user, message, readAt || new Date());
+      if (result?.moved) migrated++;
+    }
+
+    console.log(`✅ Set ${migrated} read watermarks`);
+
+    const { modifiedCount } = await Message.collection.updateMany(
+      { readBy: { $exists: true } },
+      { $unset: { readBy: '' } }
+    );
+    console.log(`🧹 Removed readBy from ${modifiedCount} messages`);
+
+    try {
+      await Message.collection.dropIndex('readBy.user_1');
+      console.log('🧹 Dropped readBy.user_1 index');
+    } catch (error) {
+      if (error.codeName !== 'IndexNotFound') throw error;
+    }
+
+  } catch (error) {
+    console.error('❌ Error migrating read watermarks:', error);
+  } finally {
+    // Close database connection
+    await mongoose.connection.close();
+    console.log('📦 Database connection closed');
+    process.exit(0);
+  }
+};
+
+// Run the script
+migrateReadWatermarks();
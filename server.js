@@ -11,13 +11,19 @@ import path from 'path';
 import connectDB from './config/database.js';
 import { authenticateSocket } from './middleware/auth.js';
 import { handleConnection } from './socket/socketHandlers.js';
+import { registerEventBridge } from './socket/eventBridge.js';
+import { configureSocketAdapter } from './socket/adapter.js';
+import { getPresenceStore } from './services/presence/index.js';
 
 // Import routes
 import authRoutes from './routes/auth.js';
 import userRoutes from './routes/users.js';
+import contactRoutes from './routes/contacts.js';
 import conversationRoutes from './routes/conversations.js';
 import messageRoutes from './routes/messages.js';
 import groupMembersRoutes from './routes/groupMembers.js';
+import notificationRoutes from './routes/notifications.js';
+import syncRoutes from './routes/sync.js';
 import adminRoutes from './routes/admin.js';
 import adminAuthRoutes from './routes/adminAuth.js';
 import adminUsersRoutes from './routes/adminUsers.js';
@@ -42,6 +48,12 @@ const io = new Server(server, {
   }
 });
 
+// Make Socket.io available to routes (req.app.get('io'))
+app.set('io', io);
+
+// Relay events published by REST routes to Socket.io rooms
+registerEventBridge(io);
+
 // Connect to MongoDB
 connectDB();
 
@@ -102,9 +114,12 @@ app.get('/health', (req, res) => {
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/contacts', contactRoutes);
 app.use('/api/conversations', conversationRoutes);
 app.use('/api/conversations', groupMembersRoutes);
 app.use('/api/messages', messageRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/sync', syncRoutes);
 app.use('/api/admin/auth', adminAuthRoutes);
 app.use('/api/admin/users', adminUsersRoutes);
 app.use('/api/admin/conversations', adminConversationsRoutes);
@@ -140,14 +155,25 @@ io.on('connection', (socket) => {
 // Start server
 const PORT = process.env.PORT || 10000;  // Render.com uses port 10000
 
-server.listen(PORT, () => {
-  console.log(`
+const startServer = async () => {
+  // Share rooms and presence across instances when configured (SOCKET_ADAPTER=redis)
+  await configureSocketAdapter(io);
+  await getPresenceStore().start?.();
+
+  server.listen(PORT, () => {
+    console.log(`
 🚀 Server running in ${process.env.NODE_ENV || 'development'} mode
 📡 HTTP Server: http://localhost:${PORT}
 🔌 Socket.io Server: ws://localhost:${PORT}
 📊 Health Check: http://localhost:${PORT}/health
 🗄️  Database: ${process.env.MONGODB_URI}
-  `);
+    `);
+  });
+};
+
+startServer().catch(error => {
+  console.error('❌ Server startup failed:', error.message);
+  process.exit(1);
 });
 
 // Graceful shutdown
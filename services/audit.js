@@ -0,0 +1,53 @@
+import AuditLog from '../models/AuditLog.js';
+
+// Fields never written to the audit trail
+const SENSITIVE_FIELDS = ['password', 'twoFactorSecret', 'twoFactorRecoveryCodes', '__v'];
+
+// Convert a document or plain object into a sanitized plain object
+// (take one before modifying a document to pass as `before`)
+export const auditSnapshot = (value) => {
+  if (!value) return null;
+  const plain = typeof value.toObject === 'function' ? value.toObject() : { ...value };
+  SENSITIVE_FIELDS.forEach(field => delete plain[field]);
+  return JSON.parse(JSON.stringify(plain));
+};
+
+// Keep only the fields that differ between two snapshots
+export const diffSnapshots = (before, after) => {
+  if (!before || !after) {
+    return { before, after };
+  }
+
+  const changedBefore = {};
+  const changedAfter = {};
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  keys.forEach(key => {
+    if (key === 'updatedAt') return;
+    if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      changedBefore[key] = before[key];
+      changedAfter[key] = after[key];
+    }
+  });
+
+  return { before: changedBefore, after: changedAfter };
+};
+
+// Record an administrative action. Failures are logged but never break the request.
+export const recordAudit = async (req, { action, targetType, targetId = null, before = null, after = null, metadata = null }) => {
+  try {
+    await AuditLog.create({
+      admin: req.admin._id,
+      adminUsername: req.admin.username,
+      action,
+      targetType,
+      targetId,
+      changes: diffSnapshots(auditSnapshot(before), auditSnapshot(after)),
+      metadata,
+      ip: req.ip,
+      userAgent: req.get('user-agent') || null
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+};
@@ -0,0 +1,46 @@
+import { EventEmitter } from 'events';
+
+// Internal event bus. REST routes publish domain events here; the socket
+// layer (socket/eventBridge.js) subscribes and relays them to rooms, so
+// routes never need a handle on Socket.io.
+export const EVENTS = {
+  MESSAGE_CREATED: 'message.created',
+  MESSAGE_EDITED: 'message.edited',
+  MESSAGE_DELETED: 'message.deleted',
+  REACTION_UPDATED: 'message.reaction_updated',
+  CONVERSATION_UPDATED: 'conversation.updated',
+  CONVERSATION_READ: 'conversation.read',
+  MESSAGES_DELIVERED: 'message.delivered',
+  MEMBERS_ADDED: 'conversation.members_added',
+  MEMBER_REMOVED: 'conversation.member_removed',
+  MEMBER_ROLE_CHANGED: 'conversation.member_role_changed',
+  OWNERSHIP_TRANSFERRED: 'conversation.ownership_transferred',
+  USER_BLOCKED: 'user.blocked',
+  PRESENCE_AUDIENCE_CHANGED: 'presence.audience_changed',
+  CONTACT_REQUEST_SENT: 'contact.request_sent',
+  CONTACT_REQUEST_ACCEPTED: 'contact.request_accepted',
+  CONTACT_REQUEST_CANCELLED: 'contact.request_cancelled',
+  CONTACT_REMOVED: 'contact.removed'
+};
+
+const bus = new EventEmitter();
+bus.setMaxListeners(50);
+
+// Publish an event. Subscriber failures are logged and never reach the publisher.
+export const publish = (event, payload) => {
+  bus.emit(event, payload);
+};
+
+// Subscribe to an event; returns a function that removes the subscription
+export const subscribe = (event, handler) => {
+  const safeHandler = async (payload) => {
+    try {
+      await handler(payload);
+    } catch (error) {
+      console.error(`Event handler error (${event}):`, error);
+    }
+  };
+
+  bus.on(event, safeHandler);
+  return () => bus.off(event, safeHandler);
+};
@@ -0,0 +1,16 @@
+// Prints mail to the console (local development)
+export default class ConsoleTransport {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async send(mail) {
+    console.log(`
+📧 Email to ${mail.to}
+   Subject: ${mail.subject}
+
+${mail.text}
+`);
+    return { messageId: null };
+  }
+}
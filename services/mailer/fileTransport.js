@@ -0,0 +1,21 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// Writes each mail as a JSON file in a directory (local development and tests)
+export default class FileTransport {
+  constructor({ dir = 'mail/' } = {}) {
+    this.name = 'file';
+    this.dir = path.resolve(dir);
+  }
+
+  async send(mail) {
+    const messageId = `${Date.now()}-${crypto.randomUUID()}`;
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    await fs.promises.writeFile(
+      path.join(this.dir, `${messageId}.json`),
+      JSON.stringify({ ...mail, sentAt: new Date().toISOString() }, null, 2)
+    );
+    return { messageId };
+  }
+}
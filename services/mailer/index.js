@@ -0,0 +1,51 @@
+import SmtpTransport from './smtpTransport.js';
+import ConsoleTransport from './consoleTransport.js';
+import FileTransport from './fileTransport.js';
+
+// Mail transports must implement:
+//   send({ from, to, subject, text, html }) -> Promise<{ messageId }>
+const transports = {
+  smtp: () => new SmtpTransport({
+    host: process.env.EMAIL_HOST,
+    port: parseInt(process.env.EMAIL_PORT) || 587,
+    user: process.env.EMAIL_USER,
+    pass: process.env.EMAIL_PASS
+  }),
+  console: () => new ConsoleTransport(),
+  file: () => new FileTransport({ dir: process.env.MAIL_DIR || 'mail/' })
+};
+
+let transport = null;
+
+// Get the configured transport (MAIL_TRANSPORT, defaults to smtp in production and console elsewhere)
+export const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT ||
+      (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+    const createTransport = transports[name];
+
+    if (!createTransport) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+
+    transport = createTransport();
+  }
+  return transport;
+};
+
+// Register an additional transport under a name
+export const registerTransport = (name, factory) => {
+  transports[name] = factory;
+  transport = null;
+};
+
+// Send an email through the configured transport
+export const sendMail = ({ to, subject, text, html }) => {
+  return getTransport().send({
+    from: process.env.EMAIL_FROM || process.env.EMAIL_USER || 'no-reply@messengerko.com',
+    to,
+    subject,
+    text,
+    html
+  });
+};
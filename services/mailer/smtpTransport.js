@@ -0,0 +1,19 @@
+import nodemailer from 'nodemailer';
+
+// Sends mail through an SMTP server (EMAIL_HOST, EMAIL_PORT, EMAIL_USER, EMAIL_PASS)
+export default class SmtpTransport {
+  constructor({ host, port, user, pass }) {
+    this.name = 'smtp';
+    this.transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure: port === 465,
+      auth: user ? { user, pass } : undefined
+    });
+  }
+
+  async send(mail) {
+    const info = await this.transporter.sendMail(mail);
+    return { messageId: info.messageId };
+  }
+}
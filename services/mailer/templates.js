@@ -0,0 +1,29 @@
+const appUrl = () => (process.env.APP_URL || 'http://localhost:5174').replace(/\/$/, '');
+
+// Email verification message
+export const verificationEmail = (user, token) => {
+  const link = `${appUrl()}/verify-email?token=${token}`;
+  return {
+    subject: 'Verify your email address',
+    text: `Hi ${user.username},
+
+Please confirm your email address to activate your account:
+${link}
+
+This link expires in 24 hours. If you didn't create an account, you can ignore this email.`
+  };
+};
+
+// Password reset message
+export const passwordResetEmail = (user, token) => {
+  const link = `${appUrl()}/reset-password?token=${token}`;
+  return {
+    subject: 'Reset your password',
+    text: `Hi ${user.username},
+
+We received a request to reset your password. Use the link below to choose a new one:
+${link}
+
+This link expires in 1 hour and can only be used once. If you didn't request this, you can ignore this email.`
+  };
+};
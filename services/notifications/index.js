@@ -0,0 +1,104 @@
+import Device from '../../models/Device.js';
+import webPushProvider from './providers/webPushProvider.js';
+
+// Notification providers must implement:
+//   name
+//   isConfigured() -> boolean
+//   send(device, payload) -> Promise<{ success, expired?, error? }>
+const providers = {
+  [webPushProvider.name]: webPushProvider
+};
+
+// Devices are dropped after this many consecutive failed deliveries
+const MAX_DEVICE_FAILURES = 5;
+
+const queue = [];
+let processing = false;
+
+// Register an additional provider (e.g. FCM, APNs)
+export const registerProvider = (provider) => {
+  providers[provider.name] = provider;
+};
+
+export const getProvider = (name) => providers[name] || null;
+
+// Build the push payload for a new message
+const buildMessagePayload = (message, conversation) => {
+  const senderName = message.sender?.username || 'Someone';
+  const previews = {
+    image: '📷 Photo',
+    file: `📎 ${message.fileName || 'File'}`
+  };
+  const preview = previews[message.type] ||
+    (message.content.length > 100 ? `${message.content.slice(0, 100)}…` : message.content);
+
+  return {
+    type: 'new_message',
+    title: conversation.type === 'group' ? (conversation.name || 'Group chat') : senderName,
+    body: conversation.type === 'group' ? `${senderName}: ${preview}` : preview,
+    data: {
+      conversationId: conversation._id.toString(),
+      messageId: message._id.toString()
+    }
+  };
+};
+
+// Deliver a payload to every registered device of the recipients
+const deliver = async ({ recipientIds, payload }) => {
+  const devices = await Device.findForUsers(recipientIds);
+
+  await Promise.all(devices.map(async (device) => {
+    const provider = providers[device.provider];
+    if (!provider || !provider.isConfigured()) return;
+
+    const result = await provider.send(device, payload);
+
+    if (result.success) {
+      await Device.updateOne(
+        { _id: device._id },
+        { $set: { lastUsedAt: new Date(), failureCount: 0 } }
+      );
+      return;
+    }
+
+    if (result.expired || device.failureCount + 1 >= MAX_DEVICE_FAILURES) {
+      await Device.deleteOne({ _id: device._id });
+    } else {
+      await Device.updateOne({ _id: device._id }, { $inc: { failureCount: 1 } });
+    }
+    console.error(`Push delivery failed (${device.provider}):`, result.error?.message);
+  }));
+};
+
+// Process queued notifications one at a time, off the request path
+const processQueue = async () => {
+  if (processing) return;
+  processing = true;
+
+  while (queue.length > 0) {
+    const job = queue.shift();
+    try {
+      await deliver(job);
+    } catch (error) {
+      console.error('Notification dispatch error:', error);
+    }
+  }
+
+  processing = false;
+};
+
+// Queue a push notification about a new message for offline participants.
+// Participants who muted the conversation are skipped.
+export const queueMessageNotification = ({ message, conversation, recipientIds }) => {
+  const recipients = recipientIds.filter(userId => !conversation.isMutedFor(userId));
+
+  if (recipients.length === 0) return 0;
+
+  queue.push({
+    recipientIds: recipients,
+    payload: buildMessagePayload(message, conversation)
+  });
+  setImmediate(processQueue);
+
+  return recipients.length;
+};
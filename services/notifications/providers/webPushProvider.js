@@ -0,0 +1,59 @@
+import webpush from 'web-push';
+
+let configured = null;
+
+// Configure VAPID details once, from VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY / VAPID_SUBJECT
+const ensureConfigured = () => {
+  if (configured !== null) return configured;
+
+  const { VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY, VAPID_SUBJECT } = process.env;
+  configured = !!(VAPID_PUBLIC_KEY && VAPID_PRIVATE_KEY);
+
+  if (configured) {
+    webpush.setVapidDetails(
+      VAPID_SUBJECT || 'mailto:admin@messengerko.com',
+      VAPID_PUBLIC_KEY,
+      VAPID_PRIVATE_KEY
+    );
+  }
+  return configured;
+};
+
+// Web Push (VAPID) notification provider
+const webPushProvider = {
+  name: 'webpush',
+
+  isConfigured() {
+    return ensureConfigured();
+  },
+
+  getPublicKey() {
+    return process.env.VAPID_PUBLIC_KEY || null;
+  },
+
+  async send(device, payload) {
+    try {
+      await webpush.sendNotification(
+        {
+          endpoint: device.endpoint,
+          keys: {
+            p256dh: device.keys?.p256dh,
+            auth: device.keys?.auth
+          }
+        },
+        JSON.stringify(payload),
+        { TTL: 60 * 60 * 24 } // 24 hours
+      );
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        // 404/410 mean the subscription is gone for good
+        expired: error.statusCode === 404 || error.statusCode === 410,
+        error
+      };
+    }
+  }
+};
+
+export default webPushProvider;
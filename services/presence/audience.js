@@ -0,0 +1,34 @@
+import User from '../../models/User.js';
+import Conversation from '../../models/Conversation.js';
+
+// Users who may see a user's presence, and whose presence that user may see:
+// their contacts and everyone they share a conversation with, minus users
+// blocked in either direction
+export const getPresenceAudience = async (userId) => {
+  const [partnerIds, user, hiddenUserIds] = await Promise.all([
+    Conversation.distinct('participants', { participants: userId }),
+    User.findById(userId).select('contacts'),
+    User.getHiddenUserIds(userId)
+  ]);
+
+  const excluded = new Set([userId.toString(), ...hiddenUserIds.map(String)]);
+  const candidateIds = new Set([...partnerIds, ...(user?.contacts || [])].map(String));
+  return [...candidateIds].filter(candidateId => !excluded.has(candidateId));
+};
+
+// Serialize users for a viewer, hiding presence (online state, status and
+// last seen) of users outside the viewer's audience
+export const withVisiblePresence = async (viewerId, users) => {
+  const audience = new Set(await getPresenceAudience(viewerId));
+  audience.add(viewerId.toString());
+
+  return users.map(user => {
+    const json = user.toJSON();
+    if (!audience.has(user._id.toString())) {
+      json.isOnline = false;
+      json.status = 'offline';
+      delete json.lastSeen;
+    }
+    return json;
+  });
+};
@@ -0,0 +1,39 @@
+import MemoryPresenceStore from './memoryPresenceStore.js';
+import RedisPresenceStore from './redisPresenceStore.js';
+import { getRedisClient } from '../../config/redis.js';
+
+// Presence stores must implement:
+//   addConnection(userId, socketId) -> Promise<number of the user's connections>
+//   removeConnection(userId, socketId) -> Promise<number of remaining connections>
+//   isOnline(userId) -> Promise<boolean>
+//   filterOnline(userIds) -> Promise<string[]>
+//   getOnlineUserIds() -> Promise<string[]>
+// and may implement start() -> Promise<void>
+const stores = {
+  memory: () => new MemoryPresenceStore(),
+  redis: () => new RedisPresenceStore({ getClient: getRedisClient })
+};
+
+let presence = null;
+
+// Get the configured presence store (PRESENCE_STORE, defaults to the
+// Socket.io adapter type so both are shared or both are in-process)
+export const getPresenceStore = () => {
+  if (!presence) {
+    const driver = process.env.PRESENCE_STORE || process.env.SOCKET_ADAPTER || 'memory';
+    const createStore = stores[driver];
+
+    if (!createStore) {
+      throw new Error(`Unknown presence store: ${driver}`);
+    }
+
+    presence = createStore();
+  }
+  return presence;
+};
+
+// Register an additional presence store under a driver name
+export const registerPresenceStore = (driver, factory) => {
+  stores[driver] = factory;
+  presence = null;
+};
@@ -0,0 +1,38 @@
+// Presence store for a single server instance
+export default class MemoryPresenceStore {
+  constructor() {
+    this.connections = new Map(); // userId -> Set of socket IDs
+  }
+
+  async addConnection(userId, socketId) {
+    if (!this.connections.has(userId)) {
+      this.connections.set(userId, new Set());
+    }
+    const sockets = this.connections.get(userId);
+    sockets.add(socketId);
+    return sockets.size;
+  }
+
+  async removeConnection(userId, socketId) {
+    const sockets = this.connections.get(userId);
+    if (!sockets) return 0;
+
+    sockets.delete(socketId);
+    if (sockets.size === 0) {
+      this.connections.delete(userId);
+    }
+    return sockets.size;
+  }
+
+  async isOnline(userId) {
+    return this.connections.has(userId.toString());
+  }
+
+  async filterOnline(userIds) {
+    return userIds.map(String).filter(userId => this.connections.has(userId));
+  }
+
+  async getOnlineUserIds() {
+    return Array.from(this.connections.keys());
+  }
+}
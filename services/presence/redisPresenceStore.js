@@ -0,0 +1,104 @@
+import os from 'os';
+import crypto from 'crypto';
+
+const ONLINE_KEY = 'presence:online';
+const socketsKey = (userId) => `presence:sockets:${userId}`;
+const instanceKey = (instanceId) => `presence:instance:${instanceId}`;
+
+// Shared presence store for multiple server instances.
+//
+// presence:online             set of online user IDs
+// presence:sockets:<userId>   hash of socket ID -> instance ID
+// presence:instance:<id>      heartbeat key that expires if the instance dies
+//
+// Connections left behind by an instance that stopped without cleaning up are
+// pruned once its heartbeat expires.
+export default class RedisPresenceStore {
+  constructor({ getClient, heartbeatSeconds = 30 }) {
+    this.getClient = getClient;
+    this.heartbeatSeconds = heartbeatSeconds;
+    this.instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    this.timer = null;
+  }
+
+  // Start the heartbeat and periodic pruning of dead instances' connections
+  async start() {
+    await this.heartbeat();
+    await this.pruneStaleConnections();
+
+    this.timer = setInterval(() => {
+      this.heartbeat()
+        .then(() => this.pruneStaleConnections())
+        .catch(error => console.error('Presence heartbeat error:', error.message));
+    }, (this.heartbeatSeconds * 1000) / 3);
+    this.timer.unref();
+  }
+
+  async heartbeat() {
+    const client = await this.getClient();
+    await client.set(instanceKey(this.instanceId), Date.now().toString(), { EX: this.heartbeatSeconds });
+  }
+
+  async pruneStaleConnections() {
+    const client = await this.getClient();
+    const userIds = await client.sMembers(ONLINE_KEY);
+    const liveInstances = new Map();
+
+    for (const userId of userIds) {
+      const sockets = await client.hGetAll(socketsKey(userId));
+
+      for (const [socketId, instanceId] of Object.entries(sockets)) {
+        if (!liveInstances.has(instanceId)) {
+          liveInstances.set(instanceId, Boolean(await client.exists(instanceKey(instanceId))));
+        }
+        if (!liveInstances.get(instanceId)) {
+          await this.removeConnection(userId, socketId);
+        }
+      }
+
+      if (Object.keys(sockets).length === 0) {
+        await client.sRem(ONLINE_KEY, userId);
+      }
+    }
+  }
+
+  async addConnection(userId, socketId) {
+    const client = await this.getClient();
+    const [, , count] = await client.multi()
+      .hSet(socketsKey(userId), socketId, this.instanceId)
+      .sAdd(ONLINE_KEY, userId)
+      .hLen(socketsKey(userId))
+      .exec();
+    return count;
+  }
+
+  async removeConnection(userId, socketId) {
+    const client = await this.getClient();
+    await client.hDel(socketsKey(userId), socketId);
+    const remaining = await client.hLen(socketsKey(userId));
+
+    if (remaining === 0) {
+      await client.sRem(ONLINE_KEY, userId);
+    }
+    return remaining;
+  }
+
+  async isOnline(userId) {
+    const client = await this.getClient();
+    return Boolean(await client.sIsMember(ONLINE_KEY, userId.toString()));
+  }
+
+  async filterOnline(userIds) {
+    if (userIds.length === 0) return [];
+
+    const client = await this.getClient();
+    const ids = userIds.map(String);
+    const flags = await client.smIsMember(ONLINE_KEY, ids);
+    return ids.filter((_, index) => flags[index]);
+  }
+
+  async getOnlineUserIds() {
+    const client = await this.getClient();
+    return client.sMembers(ONLINE_KEY);
+  }
+}
@@ -0,0 +1,32 @@
+import LocalDiskStorage from './localDiskStorage.js';
+
+// Storage adapters must implement:
+//   save(buffer, { originalName, mimeType }) -> Promise<key>
+//   createReadStream(key) -> Promise<Readable>
+//   remove(key) -> Promise<void>
+const adapters = {
+  local: () => new LocalDiskStorage({ root: process.env.UPLOAD_PATH || 'uploads/' })
+};
+
+let storage = null;
+
+// Get the configured storage adapter (STORAGE_DRIVER, defaults to local disk)
+export const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+    const createAdapter = adapters[driver];
+
+    if (!createAdapter) {
+      throw new Error(`Unknown storage driver: ${driver}`);
+    }
+
+    storage = createAdapter();
+  }
+  return storage;
+};
+
+// Register an additional storage adapter (e.g. S3) under a driver name
+export const registerStorageAdapter = (driver, factory) => {
+  adapters[driver] = factory;
+  storage = null;
+};
@@ -0,0 +1,53 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// Stores uploaded files on the local filesystem under a root directory.
+// Keys are relative paths ("2024/05/<uuid>.png") so they stay portable
+// if files are later moved to another adapter.
+export default class LocalDiskStorage {
+  constructor({ root = 'uploads/' } = {}) {
+    this.name = 'local';
+    this.root = path.resolve(root);
+  }
+
+  // Resolve a key to an absolute path, refusing anything outside the root
+  resolveKey(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  }
+
+  // Save a buffer and return the generated storage key
+  async save(buffer, { originalName = '' } = {}) {
+    const now = new Date();
+    const year = String(now.getUTCFullYear());
+    const month = String(now.getUTCMonth() + 1).padStart(2, '0');
+    const extension = path.extname(originalName).toLowerCase().replace(/[^a-z0-9.]/g, '');
+    const key = `${year}/${month}/${crypto.randomUUID()}${extension}`;
+
+    const filePath = this.resolveKey(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+
+    return key;
+  }
+
+  // Open a readable stream for a stored file
+  async createReadStream(key) {
+    const filePath = this.resolveKey(key);
+    await fs.promises.access(filePath, fs.constants.R_OK);
+    return fs.createReadStream(filePath);
+  }
+
+  // Remove a stored file (missing files are ignored)
+  async remove(key) {
+    try {
+      await fs.promises.unlink(this.resolveKey(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+}
@@ -0,0 +1,126 @@
+import mongoose from 'mongoose';
+import SyncEvent, { SYNC_RETENTION_SECONDS } from '../models/SyncEvent.js';
+import Conversation from '../models/Conversation.js';
+import Message from '../models/Message.js';
+
+// Catch-up sync. The event bridge records every conversation change it relays
+// and hands clients a sync token with each one; after a reconnect, clients
+// send their last token and get the changes they missed, oldest first.
+//
+// Events from several instances can be written slightly out of _id order, so
+// a sync also returns events from a short window before the token. Events can
+// therefore repeat; each carries the same syncToken it was relayed with live,
+// so clients skip the ones they have already applied.
+
+// How far back before a token a sync looks for late-written events
+const SYNC_OVERLAP_MS = 5000;
+
+export const MAX_SYNC_EVENTS = 500;
+
+// Tokens are opaque to clients. `exact` tokens continue a paginated sync and
+// skip the overlap window.
+const encodeToken = (id, exact = false) => {
+  return Buffer.from(JSON.stringify({ id: id.toString(), exact })).toString('base64url');
+};
+
+const decodeToken = (token) => {
+  try {
+    const { id, exact } = JSON.parse(Buffer.from(String(token), 'base64url').toString());
+    return mongoose.isValidObjectId(id) ? { id: new mongoose.Types.ObjectId(id), exact: !!exact } : null;
+  } catch {
+    return null;
+  }
+};
+
+// Check if a string is a sync token this server issued
+export const isValidSyncToken = (token) => !!decodeToken(token);
+
+// Token for "now", for clients starting without one
+export const getCurrentSyncToken = () => encodeToken(new mongoose.Types.ObjectId());
+
+// Record a conversation change for replay. Returns its sync token right away;
+// the event is written in the background.
+export const recordSyncEvent = ({ type, conversationId, messageId = null, data = {}, userIds = [] }) => {
+  const _id = new mongoose.Types.ObjectId();
+
+  (async () => {
+    const conversation = await Conversation.findById(conversationId).select('participants');
+    const users = [...new Set([...(conversation?.participants || []), ...userIds].map(String))];
+
+    await SyncEvent.create({
+      _id,
+      conversation: conversationId,
+      type,
+      message: messageId,
+      data,
+      users
+    });
+  })().catch(error => console.error('Record sync event error:', error));
+
+  return encodeToken(_id);
+};
+
+// Get the changes a user missed since a token, oldest first, optionally for
+// one conversation. Returns { events, syncToken, hasMore, reset }; reset means
+// the token is older than the retained history and the client must reload.
+export const getMissedEvents = async (userId, since, { conversationId = null, limit = MAX_SYNC_EVENTS } = {}) => {
+  const cursor = decodeToken(since);
+  const sinceTime = cursor.id.getTimestamp().getTime();
+
+  if (sinceTime < Date.now() - SYNC_RETENTION_SECONDS * 1000) {
+    return { events: [], syncToken: getCurrentSyncToken(), hasMore: false, reset: true };
+  }
+
+  const after = cursor.exact
+    ? cursor.id
+    : mongoose.Types.ObjectId.createFromTime(Math.floor((sinceTime - SYNC_OVERLAP_MS) / 1000));
+
+  const filter = {
+    users: userId,
+    _id: { $gt: after }
+  };
+  if (conversationId) {
+    filter.conversation = conversationId;
+  }
+
+  const page = await SyncEvent.find(filter).sort({ _id: 1 }).limit(limit + 1);
+  const hasMore = page.length > limit;
+  const events = hasMore ? page.slice(0, limit) : page;
+
+  // Load message events' messages as they are now
+  const messageIds = events.map(event => event.message).filter(Boolean);
+  const messages = messageIds.length > 0
+    ? await Message.find({ _id: { $in: messageIds } })
+      .populate('sender', 'username email avatar')
+      .populate('replyTo', 'content sender')
+    : [];
+  const messagesById = new Map(messages.map(message => [message._id.toString(), message]));
+
+  const replay = events
+    .map(event => {
+      const data = { ...event.data, conversationId: event.conversation };
+      if (event.message) {
+        const message = messagesById.get(event.message.toString());
+        if (!message) return null;
+        data.message = message.toJSON();
+      }
+
+      return {
+        syncToken: encodeToken(event._id),
+        type: event.type,
+        conversationId: event.conversation,
+        data,
+        createdAt: event.createdAt
+      };
+    })
+    .filter(Boolean);
+
+  const last = events[events.length - 1];
+
+  return {
+    events: replay,
+    syncToken: last ? encodeToken(last._id, hasMore) : encodeToken(cursor.id),
+    hasMore,
+    reset: false
+  };
+};
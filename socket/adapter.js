@@ -0,0 +1,39 @@
+import { createAdapter } from '@socket.io/redis-adapter';
+import { createRedisClient } from '../config/redis.js';
+
+// Socket.io adapters decide how room broadcasts reach sockets. The default
+// in-memory adapter only reaches this process; the Redis adapter relays
+// broadcasts to every instance so rooms work across servers.
+const adapters = {
+  memory: async () => null,
+  redis: async () => {
+    const pubClient = await createRedisClient();
+    const subClient = pubClient.duplicate();
+    subClient.on('error', (err) => {
+      console.error('❌ Redis subscriber error:', err.message);
+    });
+    await subClient.connect();
+    return createAdapter(pubClient, subClient);
+  }
+};
+
+// Apply the configured adapter (SOCKET_ADAPTER, defaults to memory)
+export const configureSocketAdapter = async (io) => {
+  const name = process.env.SOCKET_ADAPTER || 'memory';
+  const createSocketAdapter = adapters[name];
+
+  if (!createSocketAdapter) {
+    throw new Error(`Unknown Socket.io adapter: ${name}`);
+  }
+
+  const adapter = await createSocketAdapter();
+  if (adapter) {
+    io.adapter(adapter);
+    console.log(`✅ Socket.io ${name} adapter enabled`);
+  }
+};
+
+// Register an additional adapter factory under a name
+export const registerSocketAdapter = (name, factory) => {
+  adapters[name] = factory;
+};
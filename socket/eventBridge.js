@@ -0,0 +1,233 @@
+import { EVENTS, subscribe } from '../services/events.js';
+import { recordSyncEvent } from '../services/sync.js';
+import { getPresenceAudience } from '../services/presence/audience.js';
+
+const conversationRoom = (conversationId) => `conversation_${conversationId}`;
+const userRoom = (userId) => `user_${userId}`;
+const presenceRoom = (userId) => `presence_${userId}`;
+
+// Make a user and each of the other users follow each other's presence, or
+// stop, according to whether they are still in each other's audience
+const refreshPresence = async (io, userId, otherUserIds) => {
+  const audience = new Set(await getPresenceAudience(userId));
+
+  otherUserIds.map(String).filter(otherId => otherId !== userId.toString()).forEach(otherId => {
+    const action = audience.has(otherId) ? 'socketsJoin' : 'socketsLeave';
+    io.in(userRoom(userId))[action](presenceRoom(otherId));
+    io.in(userRoom(otherId))[action](presenceRoom(userId));
+  });
+};
+
+// Relay internal events to Socket.io rooms. Conversation changes are also
+// recorded for catch-up sync (services/sync.js) and carry their syncToken.
+export const registerEventBridge = (io) => {
+  subscribe(EVENTS.MESSAGE_CREATED, ({ conversationId, message }) => {
+    const syncToken = recordSyncEvent({
+      type: 'new_message',
+      conversationId,
+      messageId: message._id
+    });
+
+    io.to(conversationRoom(conversationId)).emit('new_message', { message, syncToken });
+  });
+
+  subscribe(EVENTS.MESSAGE_EDITED, ({ conversationId, message }) => {
+    const syncToken = recordSyncEvent({
+      type: 'message_edited',
+      conversationId,
+      messageId: message._id,
+      data: { messageId: message._id }
+    });
+
+    io.to(conversationRoom(conversationId)).emit('message_edited', {
+      messageId: message._id,
+      conversationId,
+      message,
+      syncToken
+    });
+  });
+
+  subscribe(EVENTS.MESSAGE_DELETED, ({ conversationId, messageId, deletedBy, moderated = false }) => {
+    const data = { messageId, deletedBy, moderated };
+    const syncToken = recordSyncEvent({ type: 'message_deleted', conversationId, data });
+
+    io.to(conversationRoom(conversationId)).emit('message_deleted', {
+      ...data,
+      conversationId,
+      syncToken
+    });
+  });
+
+  subscribe(EVENTS.REACTION_UPDATED, ({ conversationId, messageId, userId, emoji, action, reactions }) => {
+    io.to(conversationRoom(conversationId)).emit('reaction_updated', {
+      messageId,
+      conversationId,
+      userId,
+      emoji,
+      action,
+      reactions
+    });
+  });
+
+  subscribe(EVENTS.CONVERSATION_UPDATED, ({ conversationId, changes, updatedBy }) => {
+    const data = { changes, updatedBy };
+    const syncToken = recordSyncEvent({ type: 'conversation_updated', conversationId, data });
+
+    io.to(conversationRoom(conversationId)).emit('conversation_updated', {
+      ...data,
+      conversationId,
+      syncToken
+    });
+  });
+
+  // Other participants see the new watermark; the reader's other devices clear their unread count
+  subscribe(EVENTS.CONVERSATION_READ, ({ conversationId, userId, watermark }) => {
+    io.to([conversationRoom(conversationId), userRoom(userId)]).emit('messages_read', {
+      conversationId,
+      userId,
+      lastReadMessageId: watermark.lastReadMessage,
+      readAt: watermark.readAt
+    });
+  });
+
+  // Senders learn, on all their devices, that their messages reached a recipient
+  subscribe(EVENTS.MESSAGES_DELIVERED, ({ conversationId, userId, deliveredAt, messages }) => {
+    messages.forEach(({ messageId, senderId, delivery }) => {
+      io.to(userRoom(senderId)).emit('message_delivered', {
+        conversationId,
+        messageId,
+        userId,
+        deliveredAt,
+        delivery
+      });
+    });
+  });
+
+  subscribe(EVENTS.MEMBERS_ADDED, ({ conversationId, members, addedBy, participantIds = [] }) => {
+    const data = { members, addedBy };
+    const syncToken = recordSyncEvent({
+      type: 'members_added',
+      conversationId,
+      data,
+      userIds: members.map(member => member._id)
+    });
+
+    io.to(conversationRoom(conversationId)).emit('members_added', {
+      ...data,
+      conversationId,
+      syncToken
+    });
+
+    // New members are not in the room yet; tell them directly so they can join it
+    members.forEach(member => {
+      io.to(userRoom(member._id)).emit('added_to_conversation', {
+        conversationId,
+        addedBy,
+        syncToken
+      });
+    });
+
+    // New members and existing participants now share a conversation, so
+    // they follow each other's presence
+    const memberIds = members.map(member => member._id.toString());
+    const existingIds = participantIds.map(String).filter(id => !memberIds.includes(id));
+    if (existingIds.length > 0) {
+      io.in(memberIds.map(userRoom)).socketsJoin(existingIds.map(presenceRoom));
+      io.in(existingIds.map(userRoom)).socketsJoin(memberIds.map(presenceRoom));
+    }
+  });
+
+  subscribe(EVENTS.MEMBER_REMOVED, async ({ conversationId, userId, removedBy, owner, participantIds = [] }) => {
+    const data = { userId, removedBy, owner };
+    const syncToken = recordSyncEvent({
+      type: 'member_removed',
+      conversationId,
+      data,
+      userIds: [userId]
+    });
+
+    io.to(conversationRoom(conversationId)).emit('member_removed', {
+      ...data,
+      conversationId,
+      syncToken
+    });
+
+    // Stop relaying the conversation's events to the removed member's sockets
+    io.to(userRoom(userId)).emit('removed_from_conversation', {
+      conversationId,
+      removedBy,
+      syncToken
+    });
+    io.in(userRoom(userId)).socketsLeave(conversationRoom(conversationId));
+
+    // The removed member and the remaining participants keep each other's
+    // presence only if something else still connects them
+    await refreshPresence(io, userId, participantIds);
+  });
+
+  subscribe(EVENTS.MEMBER_ROLE_CHANGED, ({ conversationId, userId, role, admins, changedBy }) => {
+    const data = { userId, role, admins, changedBy };
+    const syncToken = recordSyncEvent({ type: 'member_role_changed', conversationId, data });
+
+    io.to(conversationRoom(conversationId)).emit('member_role_changed', {
+      ...data,
+      conversationId,
+      syncToken
+    });
+  });
+
+  // Blocked users stop seeing each other's presence
+  subscribe(EVENTS.USER_BLOCKED, ({ userId, blockedUserId }) => {
+    io.in(userRoom(userId)).socketsLeave(presenceRoom(blockedUserId));
+    io.in(userRoom(blockedUserId)).socketsLeave(presenceRoom(userId));
+  });
+
+  // Something that decides who shares presence changed between these users
+  // (a new conversation, an unblock, leaving a direct conversation)
+  subscribe(EVENTS.PRESENCE_AUDIENCE_CHANGED, async ({ userIds }) => {
+    for (const [index, userId] of userIds.entries()) {
+      await refreshPresence(io, userId, userIds.slice(index + 1));
+    }
+  });
+
+  subscribe(EVENTS.CONTACT_REQUEST_SENT, ({ recipientId, request }) => {
+    io.to(userRoom(recipientId)).emit('contact_request', { request });
+  });
+
+  subscribe(EVENTS.CONTACT_REQUEST_CANCELLED, ({ requestId, requesterId, recipientId }) => {
+    io.to(userRoom(recipientId)).emit('contact_request_cancelled', {
+      requestId,
+      userId: requesterId
+    });
+  });
+
+  // New contacts follow each other's presence
+  subscribe(EVENTS.CONTACT_REQUEST_ACCEPTED, ({ requestId, requesterId, recipient }) => {
+    io.to(userRoom(requesterId)).emit('contact_request_accepted', {
+      requestId,
+      user: recipient
+    });
+    io.in(userRoom(requesterId)).socketsJoin(presenceRoom(recipient._id));
+    io.in(userRoom(recipient._id)).socketsJoin(presenceRoom(requesterId));
+  });
+
+  // Former contacts keep each other's presence only while they share a conversation
+  subscribe(EVENTS.CONTACT_REMOVED, ({ userId, contactId, sharesConversation }) => {
+    io.to(userRoom(contactId)).emit('contact_removed', { userId });
+    if (!sharesConversation) {
+      io.in(userRoom(userId)).socketsLeave(presenceRoom(contactId));
+      io.in(userRoom(contactId)).socketsLeave(presenceRoom(userId));
+    }
+  });
+
+  subscribe(EVENTS.OWNERSHIP_TRANSFERRED, ({ conversationId, owner, admins, previousOwner }) => {
+    const data = { owner, admins, previousOwner };
+    const syncToken = recordSyncEvent({ type: 'ownership_transferred', conversationId, data });
+
+    io.to(conversationRoom(conversationId)).emit('ownership_transferred', {
+      ...data,
+      conversationId,
+      syncToken
+    });
+  });
+};
@@ -1,35 +1,226 @@
+import mongoose from 'mongoose';
 import User from '../models/User.js';
 import Message from '../models/Message.js';
 import Conversation from '../models/Conversation.js';
+import {
+  isValidReactionEmoji,
+  isValidClientMessageId,
+  getStatusUpdateError
+} from '../middleware/validation.js';
+import { queueMessageNotification } from '../services/notifications/index.js';
+import { getPresenceStore } from '../services/presence/index.js';
+import { getPresenceAudience } from '../services/presence/audience.js';
+import { EVENTS, publish } from '../services/events.js';
+import { getMissedEvents, getCurrentSyncToken, isValidSyncToken } from '../services/sync.js';
+
+// How long a user with no connections stays online, so a page reload or a
+// brief network drop doesn't flicker their presence
+const getOfflineGracePeriod = () => parseInt(process.env.PRESENCE_GRACE_PERIOD_MS) || 5000;
+
+// How long a connection can go without sending any event before it counts as idle
+const getIdleTimeout = () => parseInt(process.env.PRESENCE_IDLE_TIMEOUT_MS) || 5 * 60 * 1000;
+
+// Users whose last connection on this instance closed, waiting out the grace period
+const pendingOffline = new Map(); // userId -> timeout
+
+// Maximum number of users a client can subscribe to in one request
+const MAX_PRESENCE_SUBSCRIPTIONS = 500;
+
+// Maximum number of messages one delivery acknowledgement reports to senders;
+// older ones still show as delivered in their receipts
+const MAX_DELIVERY_EVENTS = 100;
+
+// Catch-up batches replayed over the socket; clients continue with GET /api/sync after that
+const MAX_SYNC_REPLAY_BATCHES = 10;
+
+const presenceRoom = (userId) => `presence_${userId}`;
+
+// Tell the user's audience (subscribers of their presence room) and their
+// own devices what changed in their visible presence
+export const broadcastPresence = (io, user, previousStatus) => {
+  const presence = user.getPresence();
+  const audience = io.to([presenceRoom(user._id), `user_${user._id}`]);
+
+  if (previousStatus === 'offline' && presence.status !== 'offline') {
+    audience.emit('user_online', {
+      userId: user._id.toString(),
+      username: user.username
+    });
+  } else if (previousStatus !== 'offline' && presence.status === 'offline') {
+    audience.emit('user_offline', {
+      userId: user._id.toString(),
+      username: user.username,
+      lastSeen: user.lastSeen
+    });
+  }
+
+  audience.emit('user_status_changed', {
+    ...presence,
+    username: user.username
+  });
+};
 
-// Store active socket connections
-const activeUsers = new Map();
+// Apply a status update ({ status, customStatus }) and broadcast it.
+// Shared by the update_status socket event and PUT /api/users/status.
+export const updateUserStatus = async (io, userId, update) => {
+  const user = await User.findById(userId);
+  if (!user) return null;
 
-export const handleConnection = (io, socket) => {
-  console.log(`✅ User connected: ${socket.user.username} (${socket.id})`);
+  const previousStatus = user.getVisibleStatus();
+  await user.updateStatus(update, await getPresenceStore().isOnline(userId));
+  broadcastPresence(io, user, previousStatus);
 
-  // Store user connection
-  activeUsers.set(socket.userId, {
-    socketId: socket.id,
-    user: socket.user
+  return user;
+};
+
+// Switch a user's idle flag (shown as away) and broadcast if that changes what others see
+const setUserIdle = async (io, userId, isIdle) => {
+  const user = await User.findById(userId);
+  if (!user || user.isIdle === isIdle) return;
+
+  const previousStatus = user.getVisibleStatus();
+  user.isIdle = isIdle;
+  await user.save();
+
+  if (user.getVisibleStatus() !== previousStatus) {
+    broadcastPresence(io, user, previousStatus);
+  }
+};
+
+// Mark a connection idle after a period without events. The user goes away
+// once all of their connections (on any instance) are idle, and comes back
+// as soon as any of them sends an event.
+const trackIdle = (io, socket) => {
+  let timer = null;
+
+  const goIdle = async () => {
+    socket.data.idle = true;
+    const sockets = await io.in(`user_${socket.userId}`).fetchSockets();
+    if (sockets.every(userSocket => userSocket.data.idle)) {
+      await setUserIdle(io, socket.userId, true);
+    }
+  };
+
+  const resetTimer = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      goIdle().catch(error => console.error('Presence idle error:', error));
+    }, getIdleTimeout());
+  };
+
+  socket.onAny(() => {
+    resetTimer();
+    if (socket.data.idle) {
+      socket.data.idle = false;
+      setUserIdle(io, socket.userId, false)
+        .catch(error => console.error('Presence idle error:', error));
+    }
   });
 
-  // Update user's online status and socket ID
-  socket.user.setOnlineStatus(true, socket.id);
+  socket.on('disconnect', () => clearTimeout(timer));
+  resetTimer();
+};
+
+// Mark a user offline once the grace period passes without a new connection
+// on any instance
+const scheduleOffline = (io, userId) => {
+  clearTimeout(pendingOffline.get(userId));
+
+  const timeout = setTimeout(async () => {
+    pendingOffline.delete(userId);
+    try {
+      if (await getPresenceStore().isOnline(userId)) return;
+
+      const user = await User.findById(userId);
+      if (!user) return;
+
+      const previousStatus = user.getVisibleStatus();
+      await user.setOnlineStatus(false);
 
-  // Join user to their personal room
+      // Notify other users that this user is offline (already the case if invisible)
+      if (previousStatus !== 'offline') {
+        broadcastPresence(io, user, previousStatus);
+      }
+    } catch (error) {
+      console.error('Presence offline error:', error);
+    }
+  }, getOfflineGracePeriod());
+
+  pendingOffline.set(userId, timeout);
+};
+
+// Replay what a client missed since its sync token, oldest first, as `sync`
+// batches (optionally for one conversation). Unknown tokens get a reset.
+const replayMissedEvents = async (socket, since, conversationId = null) => {
+  if (!isValidSyncToken(since)) {
+    socket.emit('sync', {
+      conversationId,
+      events: [],
+      syncToken: getCurrentSyncToken(),
+      hasMore: false,
+      reset: true
+    });
+    return;
+  }
+
+  let syncToken = since;
+  for (let batch = 0; batch < MAX_SYNC_REPLAY_BATCHES; batch++) {
+    const result = await getMissedEvents(socket.userId, syncToken, { conversationId });
+    socket.emit('sync', { conversationId, ...result });
+
+    if (!result.hasMore) return;
+    syncToken = result.syncToken;
+  }
+};
+
+export const handleConnection = (io, socket) => {
+  console.log(`✅ User connected: ${socket.user.username} (${socket.id})`);
+
+  // Join user to their personal room and their session room. Every device's
+  // sockets share the user room, so user-targeted events reach all of them.
   socket.join(`user_${socket.userId}`);
+  socket.join(`session_${socket.sessionId}`);
+
+  // Subscribe to the presence of this user's contacts and conversation partners
+  getPresenceAudience(socket.userId)
+    .then(userIds => socket.join(userIds.map(presenceRoom)))
+    .catch(error => console.error('Presence subscribe error:', error));
+
+  // Track each connection in the presence store, which may be shared by
+  // several server instances; the first connection brings the user online
+  getPresenceStore().addConnection(socket.userId, socket.id)
+    .then(async (connectionCount) => {
+      // Reconnecting within the grace period: the user never went offline
+      if (pendingOffline.has(socket.userId)) {
+        clearTimeout(pendingOffline.get(socket.userId));
+        pendingOffline.delete(socket.userId);
+        return;
+      }
 
-  // Notify other users that this user is online
-  socket.broadcast.emit('user_online', {
-    userId: socket.userId,
-    username: socket.user.username
-  });
+      if (connectionCount !== 1) return;
+
+      await socket.user.setOnlineStatus(true);
+
+      // Notify other users that this user is online (unless invisible)
+      if (socket.user.isOnline) {
+        broadcastPresence(io, socket.user, 'offline');
+      }
+    })
+    .catch(error => console.error('Presence connect error:', error));
 
-  // Handle joining conversation rooms
+  trackIdle(io, socket);
+
+  // Reconnecting clients send the last sync token they saw to catch up
+  if (socket.handshake.auth?.syncToken) {
+    replayMissedEvents(socket, socket.handshake.auth.syncToken)
+      .catch(error => console.error('Sync replay error:', error));
+  }
+
+  // Handle joining conversation rooms; with a syncToken, replay what the
+  // conversation missed since then
   socket.on('join_conversation', async (data) => {
     try {
-      const { conversationId } = data;
+      const { conversationId, syncToken } = data;
 
       // Verify user is participant in conversation
       const conversation = await Conversation.findOne({
@@ -47,6 +238,10 @@ export const handleConnection = (io, socket) => {
           username: socket.user.username,
           conversationId
         });
+
+        if (syncToken) {
+          await replayMissedEvents(socket, syncToken, conversation._id);
+        }
       }
     } catch (error) {
       console.error('Join conversation error:', error);
@@ -72,11 +267,40 @@ export const handleConnection = (io, socket) => {
     }
   });
 
-  // Handle sending messages
-  socket.on('send_message', async (data) => {
+  // Handle sending messages ({ conversationId, content, type, replyTo, clientMessageId }).
+  // The optional ack callback receives { success, message, duplicate }; a retry
+  // with the same clientMessageId gets the stored message instead of a duplicate.
+  socket.on('send_message', async (data, callback) => {
+    const reply = (result) => {
+      if (typeof callback === 'function') {
+        callback(result);
+      } else if (!result.success) {
+        socket.emit('error', { message: result.message });
+      }
+    };
+
+    // Ack with a message an earlier attempt with the same clientMessageId stored
+    const replyWithExisting = async (message, conversationId) => {
+      if (!message.conversation.equals(conversationId)) {
+        return reply({
+          success: false,
+          message: 'clientMessageId was already used for a message in another conversation'
+        });
+      }
+
+      await message.populate('sender', 'username email avatar');
+      await message.populate('replyTo', 'content sender');
+      reply({ success: true, message: message.toJSON(), duplicate: true });
+    };
+
     try {
       const { conversationId, content, type = 'text', replyTo } = data;
 
+      if (data.clientMessageId !== undefined && !isValidClientMessageId(data.clientMessageId)) {
+        return reply({ success: false, message: 'clientMessageId must be a string of 1 to 100 characters' });
+      }
+      const clientMessageId = data.clientMessageId?.trim();
+
       // Verify user is participant in conversation
       const conversation = await Conversation.findOne({
         _id: conversationId,
@@ -84,8 +308,20 @@ export const handleConnection = (io, socket) => {
       });
 
       if (!conversation) {
-        socket.emit('error', { message: 'Conversation not found' });
-        return;
+        return reply({ success: false, message: 'Conversation not found' });
+      }
+
+      if (clientMessageId) {
+        const existingMessage = await Message.findByClientMessageId(socket.userId, clientMessageId);
+        if (existingMessage) {
+          return replyWithExisting(existingMessage, conversation._id);
+        }
+      }
+
+      // Blocked users can't message each other directly
+      const otherParticipant = conversation.getOtherParticipant(socket.userId);
+      if (otherParticipant && await User.isBlockedBetween(socket.userId, otherParticipant)) {
+        return reply({ success: false, message: 'You cannot send messages to this user' });
       }
 
       // Create new message
@@ -94,10 +330,22 @@ export const handleConnection = (io, socket) => {
         sender: socket.userId,
         content,
         type,
-        replyTo: replyTo || null
+        replyTo: replyTo || null,
+        clientMessageId
       });
 
-      await message.save();
+      try {
+        await message.save();
+      } catch (error) {
+        // A concurrent retry stored it first
+        if (error.code === 11000 && clientMessageId) {
+          const existingMessage = await Message.findByClientMessageId(socket.userId, clientMessageId);
+          if (existingMessage) {
+            return replyWithExisting(existingMessage, conversation._id);
+          }
+        }
+        throw error;
+      }
 
       // Update conversation's last activity
       await conversation.updateLastActivity(message._id);
@@ -114,22 +362,24 @@ export const handleConnection = (io, socket) => {
         content: message.content,
         sender: message.sender.username
       });
-      io.to(`conversation_${conversationId}`).emit('new_message', {
+      publish(EVENTS.MESSAGE_CREATED, {
+        conversationId: conversation._id,
         message: message.toJSON()
       });
 
-      // Send push notification to offline users (if implemented)
-      const offlineParticipants = conversation.participants.filter(
-        participantId => !activeUsers.has(participantId.toString()) && 
-                        participantId.toString() !== socket.userId
-      );
+      reply({ success: true, message: message.toJSON(), duplicate: false });
 
-      // TODO: Implement push notifications for offline users
-      console.log(`📱 Would send push notification to ${offlineParticipants.length} offline users`);
+      // Send push notification to offline users
+      const queued = queueMessageNotification({
+        message,
+        conversation,
+        recipientIds: await getOfflineParticipants(conversation, socket.userId)
+      });
+      console.log(`📱 Queued push notification for ${queued} offline users`);
 
     } catch (error) {
       console.error('Send message error:', error);
-      socket.emit('error', { message: 'Failed to send message' });
+      reply({ success: false, message: 'Failed to send message' });
     }
   });
 
@@ -160,106 +410,332 @@ export const handleConnection = (io, socket) => {
     }
   });
 
-  // Handle message read receipts
-  socket.on('mark_messages_read', async (data) => {
+  // Move the user's read watermark in a conversation and tell the other
+  // participants. Returns the ack payload.
+  const markConversationRead = async (conversationId, messageId) => {
+    if (!mongoose.isValidObjectId(conversationId) || (messageId && !mongoose.isValidObjectId(messageId))) {
+      return { success: false, message: 'Invalid conversation or message ID' };
+    }
+
+    const conversation = await Conversation.findOne({
+      _id: conversationId,
+      participants: socket.userId
+    });
+
+    if (!conversation) {
+      return { success: false, message: 'Conversation not found' };
+    }
+
+    const result = await conversation.markReadBy(socket.userId, messageId);
+
+    if (!result) {
+      return { success: false, message: 'Message not found' };
+    }
+
+    if (result.moved) {
+      publish(EVENTS.CONVERSATION_READ, {
+        conversationId: conversation._id,
+        userId: socket.userId,
+        watermark: result.watermark
+      });
+    }
+
+    const unreadCounts = await Message.getUnreadCounts([conversation], socket.userId);
+
+    return {
+      success: true,
+      lastReadMessageId: result.watermark?.lastReadMessage || null,
+      unreadCount: unreadCounts.get(conversation._id.toString())
+    };
+  };
+
+  // Mark a conversation read up to a message ({ conversationId, messageId },
+  // default the newest message), with an optional ack callback
+  socket.on('mark_conversation_read', async (data, callback) => {
     try {
-      const { conversationId, messageIds } = data;
+      const result = await markConversationRead(data?.conversationId, data?.messageId);
+
+      if (typeof callback === 'function') {
+        callback(result);
+      } else if (!result.success) {
+        socket.emit('error', { message: result.message });
+      }
+    } catch (error) {
+      console.error('Mark conversation read error:', error);
+      if (typeof callback === 'function') {
+        callback({ success: false, message: 'Failed to mark conversation as read' });
+      } else {
+        socket.emit('error', { message: 'Failed to mark conversation as read' });
+      }
+    }
+  });
+
+  // Receiving clients acknowledge that messages up to one reached the device
+  // ({ conversationId, messageId }); senders get message_delivered
+  socket.on('mark_delivered', async (data, callback) => {
+    const reply = (result) => {
+      if (typeof callback === 'function') {
+        callback(result);
+      } else if (!result.success) {
+        socket.emit('error', { message: result.message });
+      }
+    };
+
+    try {
+      const { conversationId, messageId } = data || {};
+
+      if (!mongoose.isValidObjectId(conversationId) || !mongoose.isValidObjectId(messageId)) {
+        return reply({ success: false, message: 'Invalid conversation or message ID' });
+      }
 
-      // Verify user is participant in conversation
       const conversation = await Conversation.findOne({
         _id: conversationId,
         participants: socket.userId
       });
 
       if (!conversation) {
-        socket.emit('error', { message: 'Conversation not found' });
+        return reply({ success: false, message: 'Conversation not found' });
+      }
+
+      const result = await conversation.markDeliveredTo(socket.userId, messageId);
+
+      if (!result) {
+        return reply({ success: false, message: 'Message not found' });
+      }
+
+      const { watermark, previous, moved } = result;
+
+      if (moved) {
+        const position = (mark) => mark && {
+          sequence: mark.lastDeliveredSequence,
+          createdAt: mark.lastDeliveredMessageAt,
+          _id: mark.lastDeliveredMessage
+        };
+        const messages = await Message.findReceivedBetween(
+          conversation._id,
+          socket.userId,
+          position(previous),
+          position(watermark),
+          MAX_DELIVERY_EVENTS
+        );
+
+        publish(EVENTS.MESSAGES_DELIVERED, {
+          conversationId: conversation._id,
+          userId: socket.userId,
+          deliveredAt: watermark.deliveredAt,
+          messages: messages.map(message => ({
+            messageId: message._id,
+            senderId: message.sender,
+            delivery: conversation.getDeliverySummary(message)
+          }))
+        });
+      }
+
+      reply({ success: true, lastDeliveredMessageId: watermark.lastDeliveredMessage });
+    } catch (error) {
+      console.error('Mark delivered error:', error);
+      reply({ success: false, message: 'Failed to mark messages as delivered' });
+    }
+  });
+
+  // Older clients send the IDs of the messages they have seen; the watermark
+  // moves to the newest of them
+  socket.on('mark_messages_read', async (data) => {
+    try {
+      const { conversationId, messageIds } = data;
+
+      if (!Array.isArray(messageIds) || !messageIds.every(id => mongoose.isValidObjectId(id))) {
+        socket.emit('error', { message: 'Invalid message IDs' });
         return;
       }
 
-      // Mark messages as read
-      await Promise.all(
-        messageIds.map(async (messageId) => {
-          const message = await Message.findById(messageId);
-          if (message) {
-            await message.markAsRead(socket.userId);
-          }
-        })
-      );
+      const newest = await Message.findOne({ _id: { $in: messageIds }, conversation: conversationId })
+        .sort({ sequence: -1, createdAt: -1, _id: -1 })
+        .select('_id');
 
-      // Notify other participants about read receipts
-      socket.to(`conversation_${conversationId}`).emit('messages_read', {
-        userId: socket.userId,
-        conversationId,
-        messageIds
-      });
+      if (!newest) return;
 
+      const result = await markConversationRead(conversationId, newest._id);
+      if (!result.success) {
+        socket.emit('error', { message: result.message });
+      }
     } catch (error) {
       console.error('Mark messages read error:', error);
       socket.emit('error', { message: 'Failed to mark messages as read' });
     }
   });
 
-  // Handle user status updates
-  socket.on('update_status', async (data) => {
+  // Handle message reactions
+  const handleReaction = (action) => async (data) => {
     try {
-      const { status } = data; // 'online', 'away', 'busy', etc.
-      
-      // Update user status in database if needed
-      // For now, we'll just broadcast the status change
-      socket.broadcast.emit('user_status_changed', {
+      const { messageId, emoji } = data;
+
+      if (!isValidReactionEmoji(emoji)) {
+        socket.emit('error', { message: 'Invalid reaction' });
+        return;
+      }
+
+      const message = await Message.findOne({ _id: messageId, isDeleted: false });
+      if (!message) {
+        socket.emit('error', { message: 'Message not found' });
+        return;
+      }
+
+      // Verify user is participant in conversation
+      const conversation = await Conversation.findOne({
+        _id: message.conversation,
+        participants: socket.userId
+      });
+
+      if (!conversation) {
+        socket.emit('error', { message: 'Message not found' });
+        return;
+      }
+
+      if (action === 'add') {
+        await message.addReaction(emoji, socket.userId);
+      } else {
+        await message.removeReaction(emoji, socket.userId);
+      }
+
+      publish(EVENTS.REACTION_UPDATED, {
+        messageId: message._id,
+        conversationId: conversation._id,
         userId: socket.userId,
-        username: socket.user.username,
-        status
+        emoji,
+        action,
+        reactions: message.getReactionSummary()
       });
+    } catch (error) {
+      console.error(`Reaction ${action} error:`, error);
+      socket.emit('error', { message: `Failed to ${action} reaction` });
+    }
+  };
+
+  socket.on('add_reaction', handleReaction('add'));
+  socket.on('remove_reaction', handleReaction('remove'));
+
+  // Handle user status updates ({ status, customStatus })
+  socket.on('update_status', async (data) => {
+    try {
+      const error = getStatusUpdateError(data);
+      if (error) {
+        socket.emit('error', { message: error });
+        return;
+      }
+
+      const { status, customStatus } = data;
+      await updateUserStatus(io, socket.userId, { status, customStatus });
     } catch (error) {
       console.error('Update status error:', error);
+      socket.emit('error', { message: 'Failed to update status' });
     }
   });
 
+  // Subscribe to presence updates for users the client is viewing and get
+  // their current presence. Only users in the audience relationship (contacts
+  // or a shared conversation, not blocked) are subscribed; others are left out.
+  socket.on('subscribe_presence', async (data, callback) => {
+    try {
+      const requestedIds = Array.isArray(data?.userIds)
+        ? [...new Set(data.userIds.map(String))].slice(0, MAX_PRESENCE_SUBSCRIPTIONS)
+        : [];
+
+      const audienceOf = new Set(await getPresenceAudience(socket.userId));
+      const allowedIds = requestedIds.filter(userId => audienceOf.has(userId));
+
+      socket.join(allowedIds.map(presenceRoom));
+
+      const users = await User.find({ _id: { $in: allowedIds } })
+        .select('username isOnline lastSeen status isIdle customStatus');
+      const presences = users.map(user => ({
+        ...user.getPresence(),
+        username: user.username
+      }));
+
+      if (typeof callback === 'function') {
+        callback({ success: true, presences });
+      } else {
+        socket.emit('presence_snapshot', { presences });
+      }
+    } catch (error) {
+      console.error('Subscribe presence error:', error);
+      if (typeof callback === 'function') {
+        callback({ success: false, message: 'Failed to subscribe to presence' });
+      } else {
+        socket.emit('error', { message: 'Failed to subscribe to presence' });
+      }
+    }
+  });
+
+  // Stop receiving presence updates for users the client no longer shows
+  socket.on('unsubscribe_presence', (data) => {
+    const userIds = Array.isArray(data?.userIds) ? data.userIds.map(String) : [];
+    userIds.forEach(userId => socket.leave(presenceRoom(userId)));
+  });
+
+  // Clients send this periodically while the user is active; like any other
+  // event it resets the idle timer
+  socket.on('user_activity', () => {});
+
   // Handle disconnection
   socket.on('disconnect', async () => {
     try {
       console.log(`❌ User disconnected: ${socket.user.username} (${socket.id})`);
 
-      // Remove from active users
-      activeUsers.delete(socket.userId);
-
-      // Update user's online status
-      await socket.user.setOnlineStatus(false);
-
-      // Notify other users that this user is offline
-      socket.broadcast.emit('user_offline', {
-        userId: socket.userId,
-        username: socket.user.username,
-        lastSeen: new Date()
-      });
+      // The user stays online while any of their devices is connected
+      const remainingConnections = await getPresenceStore().removeConnection(socket.userId, socket.id);
+      if (remainingConnections > 0) return;
 
+      scheduleOffline(io, socket.userId);
     } catch (error) {
       console.error('Disconnect error:', error);
     }
   });
 };
 
-// Helper function to get online users
-export const getOnlineUsers = () => {
-  return Array.from(activeUsers.values()).map(({ user }) => ({
+// Helper function to get online users (across all instances)
+export const getOnlineUsers = async () => {
+  const userIds = await getPresenceStore().getOnlineUserIds();
+  const users = await User.find({ _id: { $in: userIds } }).select('username avatar');
+  return users.map(user => ({
     id: user._id,
     username: user.username,
     avatar: user.avatar
   }));
 };
 
-// Helper function to check if user is online
+// Helper function to check if user is online (across all instances)
 export const isUserOnline = (userId) => {
-  return activeUsers.has(userId);
+  return getPresenceStore().isOnline(userId);
+};
+
+// Helper function to get a conversation's participants that are not connected
+export const getOfflineParticipants = async (conversation, excludeUserId = null) => {
+  const participantIds = conversation.participants
+    .map(participant => (participant._id || participant).toString())
+    .filter(participantId => participantId !== excludeUserId?.toString());
+
+  const onlineIds = new Set(await getPresenceStore().filterOnline(participantIds));
+  return participantIds.filter(participantId => !onlineIds.has(participantId));
+};
+
+// Helper function to disconnect every socket belonging to revoked sessions
+export const disconnectSessions = (io, sessionIds) => {
+  if (!io) return;
+  sessionIds.forEach(sessionId => {
+    io.in(`session_${sessionId}`).emit('session_revoked', { sessionId });
+    io.in(`session_${sessionId}`).disconnectSockets(true);
+  });
 };
 
-// Helper function to send message to specific user
-export const sendToUser = (io, userId, event, data) => {
-  const userConnection = activeUsers.get(userId);
-  if (userConnection) {
-    io.to(userConnection.socketId).emit(event, data);
-    return true;
+// Helper function to send an event to every connection of a user.
+// The user room reaches sockets on any instance; resolves to whether the
+// user was online.
+export const sendToUser = async (io, userId, event, data) => {
+  if (!(await getPresenceStore().isOnline(userId))) {
+    return false;
   }
-  return false;
+  io.to(`user_${userId}`).emit(event, data);
+  return true;
 };
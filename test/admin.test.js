@@ -0,0 +1,132 @@
+import { test, describe, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Admin from '../models/Admin.js';
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+import AuditLog from '../models/AuditLog.js';
+import { deactivateUser, deleteUser } from '../controllers/adminController.js';
+import { generateSecret, generateCode, verifyCode, currentTimeStep } from '../services/totp.js';
+import { objectId, buildUser } from './helpers.js';
+
+describe('TOTP', () => {
+  test('matches the RFC 6238 SHA-1 test vector', () => {
+    // Secret "12345678901234567890" in base32; the reference 8-digit code at 59s is 94287082
+    const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+    assert.equal(generateCode(secret, currentTimeStep(59 * 1000)), '287082');
+  });
+
+  test('accepts one step of clock drift and nothing beyond', () => {
+    const secret = generateSecret();
+    const now = Date.now();
+    const step = currentTimeStep(now);
+
+    assert.equal(verifyCode(secret, generateCode(secret, step - 1), { now }), step - 1);
+    assert.equal(verifyCode(secret, generateCode(secret, step + 1), { now }), step + 1);
+    assert.equal(verifyCode(secret, generateCode(secret, step - 2), { now }), null);
+    assert.equal(verifyCode(secret, 'abcdef', { now }), null);
+  });
+});
+
+describe('admin two-factor authentication', () => {
+  const buildAdmin = () => {
+    const admin = new Admin({
+      username: 'moderator',
+      email: 'moderator@example.com',
+      password: 'secret123',
+      firstName: 'Mod',
+      lastName: 'Erator'
+    });
+    admin.save = async function() { return this; };
+    return admin;
+  };
+
+  test('a TOTP code cannot be replayed', async () => {
+    const admin = buildAdmin();
+    await admin.setupTwoFactor();
+    await admin.enableTwoFactor(generateCode(admin.twoFactorSecret, currentTimeStep() - 1));
+
+    const code = generateCode(admin.twoFactorSecret);
+    assert.equal(await admin.verifyTwoFactor(code), 'totp');
+    assert.equal(await admin.verifyTwoFactor(code), null);
+  });
+
+  test('the enrollment code cannot be reused to log in', async () => {
+    const admin = buildAdmin();
+    await admin.setupTwoFactor();
+    const code = generateCode(admin.twoFactorSecret);
+
+    assert.ok(await admin.enableTwoFactor(code));
+    assert.equal(await admin.verifyTwoFactor(code), null);
+  });
+
+  test('recovery codes work once', async () => {
+    const admin = buildAdmin();
+    await admin.setupTwoFactor();
+    const [recoveryCode] = await admin.enableTwoFactor(generateCode(admin.twoFactorSecret));
+
+    assert.equal(await admin.verifyTwoFactor(recoveryCode), 'recovery_code');
+    assert.equal(await admin.verifyTwoFactor(recoveryCode), null);
+  });
+});
+
+describe('admin user management', () => {
+  afterEach(() => mock.restoreAll());
+
+  // Controller request/response doubles; the io double records disconnected sessions
+  const callController = async (handler, params) => {
+    const disconnected = [];
+    const io = {
+      in: (room) => ({
+        emit: () => {},
+        disconnectSockets: () => disconnected.push(room)
+      })
+    };
+    const req = { params, admin: { _id: objectId() }, app: { get: () => io }, ip: '127.0.0.1', get: () => null };
+    const res = {
+      statusCode: 200,
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; return this; }
+    };
+
+    await handler(req, res);
+    return { res, disconnected };
+  };
+
+  test('deactivating a user revokes their sessions and disconnects them', async () => {
+    const user = buildUser();
+    const sessionId = objectId().toString();
+    mock.method(User, 'findById', async () => user);
+    mock.method(AuditLog, 'create', async () => ({}));
+    const revokeAll = mock.method(Session, 'revokeAllForUser', async () => [sessionId]);
+
+    const { res, disconnected } = await callController(deactivateUser, { userId: user._id.toString() });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(user.isActive, false);
+    assert.equal(revokeAll.mock.calls[0].arguments[1].reason, 'deactivated');
+    assert.deepEqual(disconnected, [`session_${sessionId}`]);
+  });
+
+  test('deleting a user revokes their sessions before the account is removed', async () => {
+    const user = buildUser();
+    const order = [];
+    mock.method(User, 'findById', async () => user);
+    mock.method(User, 'findByIdAndDelete', async () => order.push('delete'));
+    mock.method(AuditLog, 'create', async () => ({}));
+    mock.method(Session, 'revokeAllForUser', async () => {
+      order.push('revoke');
+      return [];
+    });
+
+    const { default: Message } = await import('../models/Message.js');
+    const { default: Conversation } = await import('../models/Conversation.js');
+    mock.method(Message, 'deleteMany', async () => ({}));
+    mock.method(Conversation, 'updateMany', async () => ({}));
+    mock.method(Conversation, 'deleteMany', async () => ({}));
+
+    const { res } = await callController(deleteUser, { userId: user._id.toString() });
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(order, ['revoke', 'delete']);
+  });
+});
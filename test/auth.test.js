@@ -0,0 +1,133 @@
+import { test, describe, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Session from '../models/Session.js';
+import Device from '../models/Device.js';
+import User from '../models/User.js';
+import AuthToken from '../models/AuthToken.js';
+import authRoutes from '../routes/auth.js';
+import { registerTransport } from '../services/mailer/index.js';
+import { startApp, objectId, buildUser } from './helpers.js';
+
+// Unsaved session whose save() is a no-op
+const buildSession = (fields = {}) => {
+  const session = new Session({
+    user: objectId(),
+    refreshTokenHash: 'unset',
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    ...fields
+  });
+  session.save = async function() { return this; };
+  return session;
+};
+
+describe('sessions', () => {
+  afterEach(() => mock.restoreAll());
+
+  test('only the latest refresh token matches after rotation', async () => {
+    const session = buildSession();
+    const first = await session.rotate();
+    const second = await session.rotate();
+
+    const parse = (token) => Session.parseRefreshToken(token).secret;
+    assert.equal(session.matchesRefreshSecret(parse(second)), true);
+    assert.equal(session.matchesRefreshSecret(parse(first)), false);
+  });
+
+  test('rejects malformed refresh tokens', () => {
+    assert.equal(Session.parseRefreshToken('not-a-token'), null);
+    assert.equal(Session.parseRefreshToken(undefined), null);
+    assert.equal(Session.parseRefreshToken('123.secret'), null);
+  });
+
+  test('revoking a session removes its push devices', async () => {
+    const session = buildSession();
+    const deleteMany = mock.method(Device, 'deleteMany', async () => ({ deletedCount: 1 }));
+
+    await session.revoke('logout');
+
+    assert.equal(session.isActive, false);
+    assert.equal(session.revokedReason, 'logout');
+    assert.deepEqual(deleteMany.mock.calls[0].arguments[0], { session: { $in: [session._id] } });
+  });
+
+  test('revoking all of a user\'s sessions removes their push devices', async () => {
+    const sessionIds = [objectId(), objectId()];
+    mock.method(Session, 'find', () => ({ distinct: async () => sessionIds }));
+    mock.method(Session, 'updateMany', async () => ({ modifiedCount: 2 }));
+    const deleteMany = mock.method(Device, 'deleteMany', async () => ({ deletedCount: 2 }));
+
+    const revokedIds = await Session.revokeAllForUser(objectId(), { reason: 'password_reset' });
+
+    assert.deepEqual(revokedIds, sessionIds.map(String));
+    assert.deepEqual(deleteMany.mock.calls[0].arguments[0], { session: { $in: sessionIds } });
+  });
+});
+
+describe('auth routes', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp('/api/auth', authRoutes);
+  });
+  after(() => app.close());
+  afterEach(() => mock.restoreAll());
+
+  test('replaying a rotated-out refresh token revokes the session', async () => {
+    const session = buildSession();
+    const stolen = await session.rotate();
+    await session.rotate();
+
+    mock.method(Session, 'findById', async () => session);
+    mock.method(Device, 'deleteMany', async () => ({ deletedCount: 0 }));
+
+    const response = await app.request('POST', '/api/auth/refresh', { body: { refreshToken: stolen } });
+
+    assert.equal(response.status, 401);
+    assert.equal(session.revokedReason, 'refresh_token_reuse');
+  });
+
+  test('refresh is refused for a revoked session', async () => {
+    const session = buildSession({ revokedAt: new Date() });
+    const token = await session.rotate();
+    mock.method(Session, 'findById', async () => session);
+
+    const response = await app.request('POST', '/api/auth/refresh', { body: { refreshToken: token } });
+
+    assert.equal(response.status, 401);
+  });
+
+  test('forgot-password gives the same response when mail fails', async () => {
+    registerTransport('failing', () => ({ send: async () => { throw new Error('SMTP down'); } }));
+    process.env.MAIL_TRANSPORT = 'failing';
+    mock.method(console, 'error', () => {});
+    mock.method(AuthToken, 'issue', async () => 'token');
+
+    const user = buildUser({ email: 'known@example.com' });
+    mock.method(User, 'findOne', async ({ email }) => (email === user.email ? user : null));
+
+    try {
+      const known = await app.request('POST', '/api/auth/forgot-password', { body: { email: 'known@example.com' } });
+      const unknown = await app.request('POST', '/api/auth/forgot-password', { body: { email: 'unknown@example.com' } });
+
+      assert.equal(known.status, 200);
+      assert.deepEqual(known.body, unknown.body);
+    } finally {
+      delete process.env.MAIL_TRANSPORT;
+    }
+  });
+
+  test('verify-email does not start a session for a deactivated account', async () => {
+    const user = buildUser({ isActive: false, isEmailVerified: false });
+    mock.method(AuthToken, 'consume', async () => user._id);
+    mock.method(User, 'findById', async () => user);
+    const createForUser = mock.method(Session, 'createForUser', async () => {
+      throw new Error('should not be called');
+    });
+
+    const response = await app.request('POST', '/api/auth/verify-email', { body: { token: 'abc' } });
+
+    assert.equal(response.status, 403);
+    assert.equal(response.body.data, undefined);
+    assert.equal(createForUser.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,68 @@
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import { once } from 'events';
+import { mock } from 'node:test';
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+// Tests run without a database: model methods that would query are mocked
+// with node:test's mock.method and restored after each test.
+
+export const objectId = () => new mongoose.Types.ObjectId();
+
+// Serve a router on a random port and return a small request helper
+export const startApp = async (path, router) => {
+  const app = express();
+  app.use(express.json());
+  app.use(path, router);
+
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, url, { body, token } = {}) => {
+    const response = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { Authorization: `Bearer ${token}` })
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const close = () => new Promise(resolve => server.close(resolve));
+
+  return { request, close };
+};
+
+// Make authenticateToken accept a token for the given user and return it.
+// User.findById resolves to the user both awaited directly and through select().
+export const signIn = (user) => {
+  const sessionId = objectId();
+
+  mock.method(Session, 'findActive', async () => ({ _id: sessionId }));
+  mock.method(User, 'findById', () => {
+    const result = Promise.resolve(user);
+    result.select = async () => user;
+    return result;
+  });
+
+  return jwt.sign({ userId: user._id, sessionId }, process.env.JWT_SECRET);
+};
+
+// Build an unsaved user; save() is a no-op
+export const buildUser = (fields = {}) => {
+  const user = new User({
+    username: `user${Math.floor(Math.random() * 1e6)}`,
+    email: `user${Math.floor(Math.random() * 1e6)}@example.com`,
+    password: 'secret123',
+    ...fields
+  });
+  user.save = async function() { return this; };
+  return user;
+};
@@ -0,0 +1,147 @@
+import { test, describe, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Message from '../models/Message.js';
+import Conversation from '../models/Conversation.js';
+import { objectId } from './helpers.js';
+
+// Chainable stand-in for a find() query that records its filter and sort
+const fakeQuery = (results, recorded) => ({
+  sort(sort) { recorded.sort = sort; return this; },
+  limit(limit) { recorded.limit = limit; return this; },
+  populate() { return this; },
+  then(resolve, reject) { return Promise.resolve(results).then(resolve, reject); }
+});
+
+const buildMessage = (fields = {}) => new Message({
+  conversation: objectId(),
+  sender: objectId(),
+  content: 'hello',
+  ...fields
+});
+
+describe('message sequence numbers', () => {
+  afterEach(() => mock.restoreAll());
+
+  test('new messages take the next sequence number of their conversation', async () => {
+    let lastSequence = 41;
+    mock.method(Conversation, 'nextMessageSequence', async () => ++lastSequence);
+    mock.method(Message.collection, 'insertOne', async () => ({ acknowledged: true }));
+
+    const message = buildMessage();
+    await message.save();
+
+    assert.equal(message.sequence, 42);
+    assert.equal(message.toJSON().sequence, 42);
+  });
+
+  test('a failed insert records its number as skipped and a retry takes a new one', async () => {
+    let lastSequence = 0;
+    mock.method(Conversation, 'nextMessageSequence', async () => ++lastSequence);
+    const recordSkipped = mock.method(Conversation, 'recordSkippedSequence', async () => ({}));
+
+    const duplicate = Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    const insertOne = mock.method(Message.collection, 'insertOne', async () => { throw duplicate; });
+
+    const message = buildMessage({ clientMessageId: 'retry-1' });
+    await assert.rejects(message.save(), { code: 11000 });
+
+    assert.equal(message.sequence, undefined);
+    assert.deepEqual(recordSkipped.mock.calls[0].arguments, [message.conversation, 1]);
+
+    insertOne.mock.mockImplementation(async () => ({ acknowledged: true }));
+    await message.save();
+    assert.equal(message.sequence, 2);
+  });
+
+  test('invalid messages do not use up a number', async () => {
+    const next = mock.method(Conversation, 'nextMessageSequence', async () => 1);
+
+    await assert.rejects(new Message({ conversation: objectId(), content: 'no sender' }).save(), { name: 'ValidationError' });
+    assert.equal(next.mock.callCount(), 0);
+  });
+
+  test('range fetches report skipped numbers up to the end of the page', async () => {
+    const conversationId = objectId();
+    const messages = [1, 2, 4].map(sequence => buildMessage({ conversation: conversationId, sequence }));
+    const recorded = {};
+    mock.method(Message, 'find', (filter) => {
+      recorded.filter = filter;
+      return fakeQuery(messages, recorded);
+    });
+    const getSkipped = mock.method(Conversation, 'getSkippedSequences', async () => [3]);
+
+    const result = await Message.getMessagesBySequence(conversationId, { from: 1, to: 10, limit: 2 });
+
+    assert.deepEqual(recorded.filter.sequence, { $gte: 1, $lte: 10 });
+    assert.deepEqual(recorded.sort, { sequence: 1 });
+    assert.equal(result.messages.length, 2);
+    assert.equal(result.hasMore, true);
+    assert.equal(result.nextSequence, 3);
+    assert.deepEqual(getSkipped.mock.calls[0].arguments, [conversationId, 1, 2]);
+  });
+});
+
+describe('message ordering', () => {
+  afterEach(() => mock.restoreAll());
+
+  test('listings page in sequence order from a message cursor', async () => {
+    const recorded = {};
+    mock.method(Message, 'find', (filter) => {
+      recorded.filter = filter;
+      return fakeQuery([], recorded);
+    });
+
+    await Message.getMessagePage(objectId(), {
+      cursor: { _id: objectId(), createdAt: new Date(), sequence: 10 },
+      direction: 'before',
+      limit: 20
+    });
+
+    assert.deepEqual(recorded.sort, { sequence: -1, createdAt: -1, _id: -1 });
+    assert.deepEqual(recorded.filter.$or, [{ sequence: { $lt: 10 } }, { sequence: null }]);
+  });
+
+  test('receipts follow sequence order even when timestamps disagree', () => {
+    const sender = objectId();
+    const recipient = objectId();
+    const conversation = new Conversation({ participants: [sender, recipient], type: 'direct' });
+    const readAt = new Date('2026-01-01T00:00:10Z');
+    conversation.participantSettings.push({
+      user: recipient,
+      lastReadMessage: objectId(),
+      lastReadSequence: 5,
+      lastReadMessageAt: new Date('2026-01-01T00:00:05Z'),
+      readAt
+    });
+
+    // Numbered before the watermark's message but created a moment later, and the reverse
+    const earlierNumber = { _id: objectId(), sender, sequence: 4, createdAt: new Date('2026-01-01T00:00:06Z') };
+    const laterNumber = { _id: objectId(), sender, sequence: 6, createdAt: new Date('2026-01-01T00:00:04Z') };
+
+    assert.equal(conversation.getReceipts(earlierNumber)[0].status, 'read');
+    assert.equal(conversation.getReceipts(laterNumber)[0].status, 'sent');
+  });
+
+  test('unread counts start after the read watermark\'s sequence', async () => {
+    const user = objectId();
+    const conversation = new Conversation({ participants: [user, objectId()], type: 'direct' });
+    conversation.participantSettings.push({
+      user,
+      lastReadMessage: objectId(),
+      lastReadSequence: 7,
+      lastReadMessageAt: new Date(),
+      readAt: new Date()
+    });
+
+    let pipeline;
+    mock.method(Message, 'aggregate', async (stages) => {
+      pipeline = stages;
+      return [{ _id: conversation._id, count: 3 }];
+    });
+
+    const counts = await Message.getUnreadCounts([conversation], user);
+
+    assert.deepEqual(pipeline[0].$match.$or, [{ conversation: conversation._id, sequence: { $gt: 7 } }]);
+    assert.equal(counts.get(conversation._id.toString()), 3);
+  });
+});
@@ -0,0 +1,52 @@
+import { test, describe, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import User from '../models/User.js';
+import Conversation from '../models/Conversation.js';
+import userRoutes from '../routes/users.js';
+import conversationRoutes from '../routes/conversations.js';
+import { startApp, signIn, buildUser, objectId } from './helpers.js';
+
+describe('user and conversation routes', () => {
+  let app;
+
+  before(async () => {
+    const router = express.Router();
+    router.use('/users', userRoutes);
+    router.use('/conversations', conversationRoutes);
+    app = await startApp('/api', router);
+  });
+  after(() => app.close());
+  afterEach(() => mock.restoreAll());
+
+  test('GET /api/users/online is not shadowed by GET /api/users/:id', async () => {
+    const token = signIn(buildUser());
+    const partner = buildUser({ isOnline: true });
+    mock.method(Conversation, 'distinct', async () => [partner._id]);
+    mock.method(User, 'getHiddenUserIds', async () => []);
+    mock.method(User, 'find', () => ({
+      select() { return this; },
+      limit: async () => [partner]
+    }));
+
+    const response = await app.request('GET', '/api/users/online', { token });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.data.users.map(user => user._id), [partner._id.toString()]);
+  });
+
+  test('a group cannot be created with a user who blocked the creator', async () => {
+    const token = signIn(buildUser());
+    const blocker = objectId();
+    mock.method(User, 'getHiddenUserIds', async () => [blocker]);
+    const find = mock.method(User, 'find', async () => []);
+
+    const response = await app.request('POST', '/api/conversations', {
+      token,
+      body: { participants: [objectId().toString(), blocker.toString()], type: 'group', name: 'Team' }
+    });
+
+    assert.equal(response.status, 403);
+    assert.equal(find.mock.callCount(), 0);
+  });
+});